@@ -0,0 +1,199 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const {
+  ARTISTS_TABLE, ALIASES_TABLE, CANDIDATES_TABLE, aliasKey, loadArtistDirectory,
+  linkEventArtists, linkLineupArtists, addAlias, createArtist, mergeArtists,
+} = require('./lib/artists');
+
+// Review of the artist master table (lib/artists.js): names from event titles and
+// lineups that match no artist wait in artist_candidates until they are made an alias of
+// an existing artist, a new artist, or ignored. `link` then re-links every event.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchCandidate(nameOrKey) {
+  const { data, error } = await supabase.from(CANDIDATES_TABLE).select('*').eq('candidate_key', aliasKey(nameOrKey)).maybeSingle();
+  if (error) throw new Error(`Failed to read ${CANDIDATES_TABLE}: ${error.message}`);
+  if (!data) throw new Error(`No candidate "${nameOrKey}"`);
+  return data;
+}
+
+function parseArtistId(value) {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw new Error(`"${value}" is not an artist id`);
+  return id;
+}
+
+const LINK_HINT = '   Run "node artists.js link" to re-link events.';
+
+// ==================== COMMANDS ====================
+
+async function listArtists(search) {
+  let query = supabase.from(ARTISTS_TABLE).select('artist_id, artist_name, artist_tixr_id').order('artist_name');
+  if (search) query = query.ilike('artist_name', `%${search}%`);
+  const { data: artists, error } = await query;
+  if (error) throw new Error(`Failed to read ${ARTISTS_TABLE}: ${error.message}`);
+
+  const { data: aliases, error: aliasError } = await supabase
+    .from(ALIASES_TABLE)
+    .select('artist_id, alias_name, alias_source')
+    .in('artist_id', artists.map(a => a.artist_id))
+    .neq('alias_source', 'canonical');
+  if (aliasError) throw new Error(`Failed to read ${ALIASES_TABLE}: ${aliasError.message}`);
+
+  console.log(`🎤 ${artists.length} artist(s)${search ? ` matching "${search}"` : ''}`);
+  for (const artist of artists) {
+    const names = aliases.filter(a => a.artist_id === artist.artist_id).map(a => a.alias_name);
+    console.log(`  ${String(artist.artist_id).padStart(5)}  ${artist.artist_name}${artist.artist_tixr_id ? ` (tixr ${artist.artist_tixr_id})` : ''}${names.length ? `  aka ${names.join(', ')}` : ''}`);
+  }
+}
+
+async function listCandidates(status) {
+  const directory = await loadArtistDirectory(supabase);
+  const { data, error } = await supabase
+    .from(CANDIDATES_TABLE)
+    .select('*')
+    .eq('candidate_status', status)
+    .order('suggested_score', { ascending: false, nullsFirst: false });
+  if (error) throw new Error(`Failed to read ${CANDIDATES_TABLE}: ${error.message}`);
+
+  console.log(`🔎 ${data.length} ${status} candidate(s)`);
+  for (const c of data.sort((a, b) => b.candidate_event_ids.length - a.candidate_event_ids.length)) {
+    const suggested = directory.byId.get(c.suggested_artist_id);
+    const suggestion = suggested ? `  → ${suggested.artist_name} #${suggested.artist_id} (${Math.round(c.suggested_score * 100)}%)` : '';
+    console.log(`  ${String(c.candidate_event_ids.length).padStart(4)} event(s)  ${c.candidate_name}${suggestion}`);
+  }
+}
+
+async function aliasCandidate(nameOrKey, artistId) {
+  const candidate = await fetchCandidate(nameOrKey).catch(() => null);
+  const name = candidate?.candidate_name || nameOrKey;
+  await addAlias(supabase, artistId, name);
+  console.log(`✅ "${name}" is now an alias of artist ${artistId}.`);
+  console.log(LINK_HINT);
+}
+
+async function createFromCandidate(nameOrKey, canonicalName) {
+  const candidate = await fetchCandidate(nameOrKey);
+  const artist = await createArtist(supabase, canonicalName || candidate.candidate_name);
+  if (canonicalName && aliasKey(canonicalName) !== candidate.candidate_key) {
+    await addAlias(supabase, artist.artist_id, candidate.candidate_name);
+  }
+  console.log(`✅ Created artist #${artist.artist_id} ${artist.artist_name}.`);
+  console.log(LINK_HINT);
+}
+
+async function acceptSuggestions(minScore) {
+  const { data, error } = await supabase
+    .from(CANDIDATES_TABLE)
+    .select('candidate_name, suggested_artist_id, suggested_score')
+    .eq('candidate_status', 'open')
+    .gte('suggested_score', minScore);
+  if (error) throw new Error(`Failed to read ${CANDIDATES_TABLE}: ${error.message}`);
+
+  for (const c of data) {
+    await addAlias(supabase, c.suggested_artist_id, c.candidate_name, 'suggestion');
+    console.log(`  ✅ ${c.candidate_name} → artist ${c.suggested_artist_id} (${Math.round(c.suggested_score * 100)}%)`);
+  }
+  console.log(`\n✨ Accepted ${data.length} suggestion(s) scored ${minScore} or more.`);
+  if (data.length > 0) console.log(LINK_HINT);
+}
+
+async function ignoreCandidate(nameOrKey) {
+  const candidate = await fetchCandidate(nameOrKey);
+  const { error } = await supabase
+    .from(CANDIDATES_TABLE)
+    .update({ candidate_status: 'ignored' })
+    .eq('candidate_key', candidate.candidate_key);
+  if (error) throw new Error(`Failed to ignore "${candidate.candidate_name}": ${error.message}`);
+  console.log(`🙈 "${candidate.candidate_name}" will no longer be proposed.`);
+}
+
+async function linkAll() {
+  const events = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from('events')
+      .select('event_id, event_artist')
+      .order('event_id')
+      .range(page * 1000, (page + 1) * 1000 - 1);
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    events.push(...data);
+    if (data.length < 1000) break;
+  }
+
+  const directory = await loadArtistDirectory(supabase);
+  const eventLinks = await linkEventArtists(supabase, events, directory);
+  const lineupLinks = await linkLineupArtists(supabase, null, directory);
+  console.log(`🔗 Linked ${eventLinks.linked}/${events.length} events and ${lineupLinks.linked} lineup artists.`);
+  console.log(`   ${eventLinks.candidates + lineupLinks.candidates} unmatched name(s) in the candidates list.`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'list':
+      await listArtists(args.join(' '));
+      break;
+    case 'candidates':
+      await listCandidates(args.includes('--ignored') ? 'ignored' : 'open');
+      break;
+    case 'alias':
+      if (args.length < 2) throw new Error('Usage: node artists.js alias "<name>" <artist_id>');
+      await aliasCandidate(args[0], parseArtistId(args[1]));
+      break;
+    case 'create': {
+      const canonicalName = takeOption(args, '--name');
+      if (!args[0]) throw new Error('Usage: node artists.js create "<candidate>" [--name "<canonical name>"]');
+      await createFromCandidate(args[0], canonicalName);
+      break;
+    }
+    case 'accept-suggestions':
+      await acceptSuggestions(parseFloat(takeOption(args, '--min') || '0.85'));
+      break;
+    case 'ignore':
+      if (!args[0]) throw new Error('Usage: node artists.js ignore "<candidate>"');
+      await ignoreCandidate(args[0]);
+      break;
+    case 'merge': {
+      if (args.length < 2) throw new Error('Usage: node artists.js merge <from_artist_id> <into_artist_id>');
+      const from = await mergeArtists(supabase, parseArtistId(args[0]), parseArtistId(args[1]));
+      console.log(`🔀 Merged ${from.artist_name} (#${from.artist_id}) into artist ${args[1]}.`);
+      break;
+    }
+    case 'link':
+      await linkAll();
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node artists.js list [search]                               - Artists and their aliases');
+      console.log('  node artists.js candidates [--ignored]                      - Names that match no artist, with suggestions');
+      console.log('  node artists.js alias "<name>" <artist_id>                  - Make a name an alias of an artist');
+      console.log('  node artists.js create "<candidate>" [--name "<canonical>"] - Create an artist from a candidate');
+      console.log('  node artists.js accept-suggestions [--min 0.85]             - Alias every suggestion scored at least --min');
+      console.log('  node artists.js ignore "<candidate>"                        - Stop proposing a name');
+      console.log('  node artists.js merge <from_artist_id> <into_artist_id>     - Fold a duplicate artist into another');
+      console.log('  node artists.js link                                        - Re-link every event and lineup act');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
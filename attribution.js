@@ -0,0 +1,148 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { fetchSalesInputs, saveSalesBreakdowns } = require('./lib/sales');
+const { ATTRIBUTION_TABLE, ATTRIBUTION_TYPES } = require('./lib/attribution');
+
+// Where the tickets came from: events_attribution per event (ref_type, ref_id, promo code,
+// promoter), and the same channels compared across events. The table is kept up to date
+// by the order webhook and sync-sales.js; `build` recomputes it (and promoter_sales) for
+// given events.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+
+function checkType(type) {
+  if (!ATTRIBUTION_TYPES.includes(type)) throw new Error(`Unknown attribution type "${type}" (${ATTRIBUTION_TYPES.join(', ')})`);
+  return type;
+}
+
+function printRows(rows) {
+  const totalTickets = rows.reduce((sum, r) => sum + r.attribution_tickets, 0);
+  console.log(`  ${'VALUE'.padEnd(32)} ${'ORDERS'.padStart(7)} ${'TICKETS'.padStart(8)} ${'SHARE'.padStart(6)} ${'GROSS'.padStart(14)} ${'NET'.padStart(14)}`);
+  for (const r of rows.sort((a, b) => b.attribution_tickets - a.attribution_tickets)) {
+    const share = totalTickets > 0 ? `${Math.round(r.attribution_tickets / totalTickets * 100)}%` : '-';
+    console.log(`  ${r.attribution_value.substring(0, 32).padEnd(32)} ${String(r.attribution_orders).padStart(7)} ${String(r.attribution_tickets).padStart(8)} ${share.padStart(6)} ${money(r.attribution_gross).padStart(14)} ${money(r.attribution_net).padStart(14)}`);
+  }
+}
+
+// ==================== COMMANDS ====================
+
+async function buildEvents(eventIds) {
+  for (const eventId of eventIds) {
+    const inputs = await fetchSalesInputs(supabase, eventId);
+    await saveSalesBreakdowns(supabase, eventId, inputs);
+    console.log(`  ✅ Event ${eventId}: attribution and promoter sales rebuilt from ${inputs.orders.length} order lines`);
+  }
+}
+
+async function printReport(eventId, types) {
+  const [{ data: event, error: eventError }, { data: rows, error }] = await Promise.all([
+    supabase.from('events').select('event_name, event_date').eq('event_id', eventId).maybeSingle(),
+    supabase.from(ATTRIBUTION_TABLE).select('*').eq('event_id', eventId).in('attribution_type', types),
+  ]);
+  if (eventError) throw new Error(`Failed to read event: ${eventError.message}`);
+  if (error) throw new Error(`Failed to read ${ATTRIBUTION_TABLE}: ${error.message}`);
+
+  console.log(`\n📣 ${event ? `${event.event_name} (${event.event_date})` : 'Unknown event'} — ID ${eventId}`);
+  if (rows.length === 0) {
+    console.log('  ⚠️  No attribution rows yet; run "build" or sync-sales.js first.');
+    return;
+  }
+  for (const type of types) {
+    const typeRows = rows.filter(r => r.attribution_type === type);
+    if (typeRows.length === 0) continue;
+    console.log(`\n  By ${type}:`);
+    printRows(typeRows);
+  }
+}
+
+// One line per channel value, summed over every event since `since` (by event date)
+async function compareChannels(type, since) {
+  let eventsQuery = supabase.from('events').select('event_id, event_date');
+  if (since) eventsQuery = eventsQuery.gte('event_date', since);
+  const { data: events, error: eventsError } = await eventsQuery;
+  if (eventsError) throw new Error(`Failed to read events: ${eventsError.message}`);
+  const eventIds = new Set(events.map(e => String(e.event_id)));
+
+  const channels = new Map();
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from(ATTRIBUTION_TABLE)
+      .select('event_id, attribution_value, attribution_orders, attribution_tickets, attribution_gross, attribution_net')
+      .eq('attribution_type', type)
+      .order('event_id', { ascending: true })
+      .order('attribution_value', { ascending: true })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to read ${ATTRIBUTION_TABLE}: ${error.message}`);
+
+    for (const row of data) {
+      if (!eventIds.has(String(row.event_id))) continue;
+      if (!channels.has(row.attribution_value)) {
+        channels.set(row.attribution_value, {
+          attribution_value: row.attribution_value, events: 0,
+          attribution_orders: 0, attribution_tickets: 0, attribution_gross: 0, attribution_net: 0,
+        });
+      }
+      const channel = channels.get(row.attribution_value);
+      channel.events++;
+      channel.attribution_orders += row.attribution_orders;
+      channel.attribution_tickets += row.attribution_tickets;
+      channel.attribution_gross += Number(row.attribution_gross) || 0;
+      channel.attribution_net += Number(row.attribution_net) || 0;
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  console.log(`\n📊 Channels by ${type} across ${eventIds.size} events${since ? ` since ${since}` : ''}:`);
+  if (channels.size === 0) {
+    console.log('  ⚠️  No attribution rows for these events.');
+    return;
+  }
+  const rows = Array.from(channels.values());
+  printRows(rows);
+  console.log(`\n  Events per channel: ${rows.map(r => `${r.attribution_value} ${r.events}`).join(', ')}`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'build':
+      if (args.length === 0) throw new Error('Usage: node attribution.js build <event_id> [event_id...]');
+      console.log(`🔄 Rebuilding attribution for ${args.length} event(s)...`);
+      await buildEvents(args);
+      break;
+    case 'report':
+      if (!args[0]) throw new Error('Usage: node attribution.js report <event_id> [type]');
+      await printReport(args[0], args[1] ? [checkType(args[1])] : ATTRIBUTION_TYPES);
+      break;
+    case 'compare': {
+      const sinceIndex = args.indexOf('--since');
+      const since = sinceIndex >= 0 ? args.splice(sinceIndex, 2)[1] : null;
+      await compareChannels(checkType(args[0] || 'ref_type'), since);
+      break;
+    }
+    default:
+      console.log('Usage:');
+      console.log('  node attribution.js build <event_id...>              - Recompute events_attribution from events_orders');
+      console.log('  node attribution.js report <event_id> [type]         - Tickets and revenue per channel for one event');
+      console.log('  node attribution.js compare [type] [--since date]    - Channels summed across events (default type: ref_type)');
+      console.log(`  Types: ${ATTRIBUTION_TYPES.join(', ')}`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { getClassificationRules } = require('./lib/classification');
+const { ticketsFromOrderRow, upsertInBatches, TICKET_CONFLICT_KEY } = require('./lib/orders');
+const { updateEventSalesAggregate } = require('./lib/sales');
+
+// Writes events_tickets for orders synced before that table existed, from their stored
+// events_orders lines (lib/orders.js ticketsFromOrderRow), then recomputes the event's
+// sales. Orders that already have ticket rows are left alone. PAST events are never
+// fully resynced from Tixr, so this is the only way their tickets get filled in.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+const ORDER_COLUMNS = 'order_id, order_sale_id, event_id, order_status, order_tier_id, order_sales_item_name, order_category, order_ref_type, order_quantity, order_gross, order_line_gross, order_serials, order_purchase_date, order_removed_at';
+
+async function fetchAllPages(buildQuery, label) {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery().range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to read ${label}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function fetchEventIds() {
+  const events = await fetchAllPages(() => supabase.from('events').select('event_id, is_custom').order('event_id'), 'events');
+  return events.filter(e => e.is_custom !== true).map(e => e.event_id);
+}
+
+// Returns how many tickets were (or, in a dry run, would be) written
+async function backfillEvent(eventId, ruleset, dryRun) {
+  const [lines, ticketed] = await Promise.all([
+    fetchAllPages(() => supabase.from('events_orders').select(ORDER_COLUMNS).eq('event_id', eventId)
+      .order('order_id').order('order_sale_id'), `orders of event ${eventId}`),
+    fetchAllPages(() => supabase.from('events_tickets').select('order_id').eq('event_id', eventId)
+      .order('order_id').order('order_sale_id').order('ticket_index'), `tickets of event ${eventId}`),
+  ]);
+  const ticketedOrders = new Set(ticketed.map(t => t.order_id));
+  const tickets = lines.filter(line => !ticketedOrders.has(line.order_id)).flatMap(line => ticketsFromOrderRow(line, ruleset));
+  if (tickets.length === 0 || dryRun) return tickets.length;
+
+  await upsertInBatches(supabase, 'events_tickets', tickets, TICKET_CONFLICT_KEY);
+  await updateEventSalesAggregate(supabase, eventId);
+  return tickets.length;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const eventIds = args.filter(arg => !arg.startsWith('--'));
+  const ruleset = getClassificationRules();
+
+  const ids = eventIds.length > 0 ? eventIds : await fetchEventIds();
+  console.log(`🎟️  Backfilling events_tickets of ${ids.length} event(s) with rules v${ruleset.version}${dryRun ? ' (dry run)' : ''}...`);
+
+  let written = 0;
+  let failed = 0;
+  for (const eventId of ids) {
+    try {
+      const count = await backfillEvent(eventId, ruleset, dryRun);
+      if (count > 0) console.log(`  ✅ Event ${eventId}: ${count} tickets${dryRun ? ' to write' : ' written'}`);
+      written += count;
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ Event ${eventId}: ${error.message}`);
+    }
+  }
+  console.log(`\n✨ ${written} tickets ${dryRun ? 'to write' : 'written'}${failed ? `, ${failed} event(s) failed` : ''}.`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
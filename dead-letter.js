@@ -0,0 +1,161 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { listDeadLetters, getDeadLetter, updateDeadLetter } = require('./lib/dead-letter');
+const { upsertInBatches } = require('./lib/orders');
+const { requeueItems, enqueueWebhook } = require('./lib/webhook-queue');
+const { SALES_EVENT_COLUMNS, rebuildEventSales, saveEventSales } = require('./lib/sales');
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { syncEvents, EVENT_SYNC_COLUMNS } = require('./lib/order-sync');
+
+// Inspect and replay work that failed for good in webhook-server.js or the batch scripts
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// ==================== RETRY HANDLERS ====================
+
+// Each handler throws if the retry fails. `retried` means the work was handed back to
+// the webhook worker rather than done here.
+const RETRY_HANDLERS = {
+  async webhook(entry) {
+    const { queue_id, kind, payload } = entry.payload;
+    const requeued = queue_id ? await requeueItems(supabase, { ids: [queue_id] }) : 0;
+    if (requeued === 0) await enqueueWebhook(supabase, kind, payload);
+    return 'retried';
+  },
+
+  async db_batch(entry) {
+    const { table, rows, onConflict } = entry.payload;
+    await upsertInBatches(supabase, table, rows, onConflict);
+    return 'resolved';
+  },
+
+  async order_sync_event(entry) {
+    // Created here: only this retry needs the Tixr credentials, and it throws without them
+    const tixr = createTixrClientFromEnv();
+    const { data: event, error } = await supabase.from('events').select(EVENT_SYNC_COLUMNS).eq('event_id', entry.ref).maybeSingle();
+    if (error) throw new Error(`Failed to read event ${entry.ref}: ${error.message}`);
+    if (!event) throw new Error(`Event ${entry.ref} no longer exists`);
+
+    const { failedEvents } = await syncEvents(supabase, tixr, [event], { forceFull: true, recordFailures: false });
+    if (failedEvents.length > 0) throw new Error(`Order sync of event ${entry.ref} failed again`);
+    return 'resolved';
+  },
+
+  // The same rebuild sync-sales.js does, so pacing and festival days are not left stale
+  async sales_aggregate(entry) {
+    const { data: event, error } = await supabase.from('events').select(SALES_EVENT_COLUMNS).eq('event_id', entry.ref).maybeSingle();
+    if (error) throw new Error(`Failed to read event ${entry.ref}: ${error.message}`);
+    if (!event) throw new Error(`Event ${entry.ref} no longer exists`);
+    await saveEventSales(supabase, await rebuildEventSales(supabase, event));
+    return 'resolved';
+  },
+};
+
+async function retryEntry(entry) {
+  const handler = RETRY_HANDLERS[entry.kind];
+  if (!handler) throw new Error(`Don't know how to retry dead letters of kind ${entry.kind}`);
+
+  console.log(`🔁 Retrying dead letter #${entry.id} (${entry.source} / ${entry.kind}${entry.ref ? ` ${entry.ref}` : ''})...`);
+  try {
+    const status = await handler(entry);
+    await updateDeadLetter(supabase, entry.id, { status });
+    console.log(status === 'retried' ? `  ✅ #${entry.id} handed back to the webhook queue.` : `  ✅ #${entry.id} resolved.`);
+    return true;
+  } catch (error) {
+    await updateDeadLetter(supabase, entry.id, { attempts: entry.attempts + 1, error: error.message });
+    console.error(`  ❌ #${entry.id} failed again: ${error.message}`);
+    return false;
+  }
+}
+
+// ==================== COMMANDS ====================
+
+async function listEntries(status = 'open', source) {
+  const entries = await listDeadLetters(supabase, { status, source });
+  console.log(`📋 ${entries.length} dead letter(s)${status !== 'all' ? ` with status ${status}` : ''}${source ? ` from ${source}` : ''} (newest first):\n`);
+  for (const entry of entries) {
+    console.log(`  #${entry.id}  ${entry.created_at}  ${entry.source.padEnd(14)} ${entry.kind.padEnd(17)} ${(entry.ref || '').padEnd(14)} ${entry.status.padEnd(9)} attempts=${entry.attempts}`);
+    console.log(`      ${entry.error}`);
+  }
+}
+
+async function showEntry(id) {
+  const entry = await getDeadLetter(supabase, id);
+  if (!entry) throw new Error(`Dead letter #${id} not found`);
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+async function retryEntries(ids) {
+  let failures = 0;
+  for (const id of ids) {
+    const entry = await getDeadLetter(supabase, id);
+    if (!entry) throw new Error(`Dead letter #${id} not found`);
+    if (entry.status !== 'open') {
+      console.log(`⏭️  #${id} is ${entry.status}, skipping.`);
+      continue;
+    }
+    if (!(await retryEntry(entry))) failures++;
+  }
+  if (failures > 0) process.exitCode = 1;
+}
+
+async function retryAllOpen(source) {
+  // Oldest first so batches are replayed in the order they originally failed
+  const entries = (await listDeadLetters(supabase, { status: 'open', source, limit: 1000 })).reverse();
+  console.log(`🔁 Retrying ${entries.length} open dead letter(s)...`);
+  await retryEntries(entries.map(e => e.id));
+}
+
+async function discardEntries(ids) {
+  for (const id of ids) {
+    await updateDeadLetter(supabase, id, { status: 'discarded' });
+    console.log(`🗑️  Discarded #${id}.`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'list':
+      await listEntries(args[0], args[1]);
+      break;
+    case 'show':
+      if (!args[0]) throw new Error('Usage: node dead-letter.js show <id>');
+      await showEntry(args[0]);
+      break;
+    case 'retry':
+      if (args.length === 0) throw new Error('Usage: node dead-letter.js retry <id> [id...]');
+      await retryEntries(args);
+      break;
+    case 'retry-all':
+      await retryAllOpen(args[0]);
+      break;
+    case 'discard':
+      if (args.length === 0) throw new Error('Usage: node dead-letter.js discard <id> [id...]');
+      await discardEntries(args);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node dead-letter.js list [status|all] [source]  - List dead letters (default: open)');
+      console.log('  node dead-letter.js show <id>                   - Print an entry with its payload');
+      console.log('  node dead-letter.js retry <id> [id...]          - Run entries again');
+      console.log('  node dead-letter.js retry-all [source]          - Run every open entry again');
+      console.log('  node dead-letter.js discard <id> [id...]        - Mark entries as not worth retrying');
+      console.log('\nSources: webhook-server, sync-orders, sync-events, sync-sales, enrich-users');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
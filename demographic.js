@@ -1,7 +1,6 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-const crypto = require('crypto');
+const { TixrClient } = require('./lib/tixr-client');
 // Comment
 // --- CONFIGURATION ---
 const CONFIG = {
@@ -12,7 +11,6 @@ const CONFIG = {
     TABLE_USERS: 'events_users',
     
     // Tixr API Config
-    tixrBaseUrl: 'https://studio.tixr.com/v1',
     tixrGroupId: process.env.TIXR_GROUP_ID || '980',
     tixrCpk: process.env.TIXR_CPK,
     tixrSecret: process.env.TIXR_SECRET_KEY,
@@ -27,6 +25,9 @@ if (!CONFIG.supabaseUrl || !CONFIG.supabaseKey) {
 }
 
 const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey);
+const tixr = CONFIG.tixrCpk && CONFIG.tixrSecret
+    ? new TixrClient({ groupId: CONFIG.tixrGroupId, cpk: CONFIG.tixrCpk, secretKey: CONFIG.tixrSecret })
+    : null;
 
 // --- GLOBAL STORAGE ---
 const uniqueUsers = new Map();
@@ -100,61 +101,31 @@ async function fetchDbUsers(userIds) {
 
 // --- TIXR API HELPER FUNCTIONS ---
 
-function getSignedUrl(endpointPath, params = {}) {
-    const timestamp = Date.now();
-    const allParams = { ...params, cpk: CONFIG.tixrCpk, t: timestamp };
-
-    const sortedKeys = Object.keys(allParams).sort();
-    const queryParts = sortedKeys.map(key => `${key}=${encodeURIComponent(allParams[key])}`);
-    const queryString = queryParts.join('&');
-
-    // Tixr requires /v1 in the hash string
-    const stringToHash = `/v1${endpointPath}?${queryString}`;
-
-    const hash = crypto.createHmac('sha256', CONFIG.tixrSecret)
-        .update(stringToHash)
-        .digest('hex');
-
-    return `${CONFIG.tixrBaseUrl}${endpointPath}?${queryString}&hash=${hash}`;
-}
-
 async function fetchTixrPaginated(endpointPath, params = {}) {
     let allResults = [];
-    let page = 1;
     const pageSize = 1000;
-    let hasMore = true;
 
     // Use a past start_date to ensure we get all historical orders
     const finalParams = { 
         ...params, 
-        start_date: '2015-01-01', 
-        page_size: pageSize 
+        start_date: '2015-01-01'
     };
 
     try {
-        while (hasMore) {
-            process.stdout.write(`   ↳ API Fetching ${endpointPath} (Page ${page})... \r`);
-            
-            finalParams.page_number = page;
-            const url = getSignedUrl(endpointPath, finalParams);
-
-            const response = await axios.get(url, { headers: { 'Accept': 'application/json' } });
-            const data = response.data;
-
-            if (Array.isArray(data) && data.length > 0) {
+        // Pages are collected as they arrive so a failure keeps what was already fetched
+        await tixr.getAll(endpointPath, finalParams, {
+            pageSize,
+            onPage: (data, page) => {
+                process.stdout.write(`   ↳ API Fetching ${endpointPath} (Page ${page})... \r`);
                 allResults = allResults.concat(data);
-                if (data.length < pageSize) hasMore = false;
-                else page++;
-            } else {
-                hasMore = false;
             }
-        }
+        });
         console.log(`   ✅ API Fetched ${allResults.length} records from ${endpointPath}`);
     } catch (error) {
         console.log(`\n❌ API Error on ${endpointPath}`);
-        if (error.response) {
-            console.log(`   Status: ${error.response.status}`);
-            console.log(`   Response: ${JSON.stringify(error.response.data)}`);
+        if (error.status) {
+            console.log(`   Status: ${error.status}`);
+            console.log(`   Response: ${JSON.stringify(error.data)}`);
         } else {
             console.log(`   Message: ${error.message}`);
         }
@@ -225,7 +196,7 @@ async function analyzeEvent(eventId) {
     const dbOrders = await fetchAllSupabase(
         CONFIG.TABLE_ORDERS,
         'order_quantity, order_user_id', 
-        (q) => q.eq('event_id', eventId).eq('order_status', 'COMPLETE')
+        (q) => q.eq('event_id', eventId).eq('order_status', 'COMPLETE').is('order_removed_at', null)
     );
     
     // Sum DB Tickets
@@ -252,7 +223,7 @@ async function analyzeEvent(eventId) {
     }
 
     // 2. FETCH FROM TIXR API
-    if (CONFIG.tixrCpk && CONFIG.tixrSecret) {
+    if (tixr) {
         console.log(`\n📡 [SOURCE 2] Fetching Tixr API (Real-time)...`);
         
         // A. FANS
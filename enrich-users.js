@@ -1,7 +1,7 @@
 const { createClient } = require("@supabase/supabase-js");
-const axios = require("axios");
-const crypto = require("crypto");
 require("dotenv").config();
+const { createTixrClientFromEnv } = require("./lib/tixr-client");
+const { recordDeadLetter } = require("./lib/dead-letter");
 
 console.log("🚀 Starting Tixr User Enrichment Script (Final Version)...");
 // Comment
@@ -23,7 +23,7 @@ if (!SUPABASE_URL || !SUPABASE_KEY || !TIXR_CPK || !TIXR_SECRET_KEY || !TIXR_GRO
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-const TIXR_API_BASE_URL = "https://studio.tixr.com";
+const tixr = createTixrClientFromEnv();
 
 // ==================== UTILITIES ====================
 
@@ -55,49 +55,22 @@ const apiLimiter = new Limiter(MAX_CONCURRENT_API_CALLS);
 
 // ==================== TIXR API FUNCTIONS ====================
 
-function buildHash(basePath, paramsObj) {
-  const paramsSorted = Object.keys(paramsObj).sort().map((k) => `${k}=${encodeURIComponent(paramsObj[k])}`).join("&");
-  const hashString = `${basePath}?${paramsSorted}`;
-  return crypto.createHmac("sha256", TIXR_SECRET_KEY).update(hashString).digest("hex");
-}
-
 async function fetchFanDetails(userId) {
-  const basePath = `/v1/groups/${TIXR_GROUP_ID}/fans/${userId}`;
-  const params = { cpk: TIXR_CPK, t: Date.now() };
-  const hash = buildHash(basePath, params);
-  const paramsString = Object.keys(params).sort().map((k) => `${k}=${encodeURIComponent(params[k])}`).join("&");
-  const url = `${TIXR_API_BASE_URL}${basePath}?${paramsString}&hash=${hash}`;
-
   try {
-    const { data } = await axios.get(url, { timeout: 20000 });
-    return data;
+    return await tixr.getFan(userId);
   } catch (error) {
-    if (error.response && error.response.status === 404) return null;
-    console.error(`\n  - API Error for user ${userId}: ${error.response ? `Status ${error.response.status}` : error.message}`);
+    console.error(`\n  - API Error for user ${userId}: ${error.status ? `Status ${error.status}` : error.message}`);
     return "error";
   }
 }
 
 async function fetchOrdersForUser(userId) {
-    const allOrders = []; let pageNumber = 1; let hasMorePages = true; const ORDER_PAGE_SIZE = 100;
-    while (hasMorePages) {
-        const basePath = `/v1/groups/${TIXR_GROUP_ID}/fans/${userId}/orders`;
-        const params = { cpk: TIXR_CPK, t: Date.now(), page_number: pageNumber, page_size: ORDER_PAGE_SIZE };
-        const hash = buildHash(basePath, params);
-        const paramsString = Object.keys(params).sort().map(k => `${k}=${encodeURIComponent(params[k])}`).join('&');
-        const url = `${TIXR_API_BASE_URL}${basePath}?${paramsString}&hash=${hash}`;
-        try {
-            const { data } = await axios.get(url, { timeout: 20000 });
-            if (Array.isArray(data) && data.length > 0) {
-                allOrders.push(...data);
-                if (data.length < ORDER_PAGE_SIZE) hasMorePages = false; else pageNumber++;
-            } else { hasMorePages = false; }
-        } catch (error) {
-            console.error(`\n  - Error fetching orders for user ${userId}: ${error.message}`);
-            hasMorePages = false; return null;
-        }
+    try {
+        return await tixr.getFanOrders(userId);
+    } catch (error) {
+        console.error(`\n  - Error fetching orders for user ${userId}: ${error.message}`);
+        return null;
     }
-    return allOrders;
 }
 
 // ==================== CORE PROCESSING LOGIC ====================
@@ -147,6 +120,10 @@ async function processSingleUser(userId, progressBar, stats) {
         if (error) {
             console.error(`\n❌ Error upserting user ${userId}:`, error.message);
             stats.errors++;
+            await recordDeadLetter(supabase, {
+                source: 'enrich-users', kind: 'db_batch', ref: 'events_users',
+                payload: { table: 'events_users', rows: [userDataToUpsert], onConflict: 'user_id' }, error,
+            });
         }
     }
 }
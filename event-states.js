@@ -0,0 +1,154 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { EVENT_STATES, STATE_HISTORY_TABLE } = require('./lib/event-state');
+const { today, addDays } = require('./lib/dates');
+
+// Lifecycle states of events (events.event_state, set by the event sync and the webhook
+// from lib/event-state.js) and their history: which events are on sale, sold out or
+// postponed, and when each got there.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+const DEFAULT_CHANGES_DAYS = 7;
+
+const shortTime = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '-');
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+function parseState(value) {
+  const state = value.toUpperCase();
+  if (!EVENT_STATES.includes(state)) throw new Error(`Unknown state ${value}; expected one of ${EVENT_STATES.join(', ')}`);
+  return state;
+}
+
+async function fetchEvents({ state = null, since }) {
+  const events = [];
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from('events')
+      .select('event_id, event_name, event_date, event_status, event_state, event_state_reason, event_state_updated, event_removed_at')
+      .gte('event_date', since)
+      .order('event_date', { ascending: true })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (state) query = query.eq('event_state', state);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    events.push(...data);
+    if (data.length < PAGE_SIZE) return events;
+  }
+}
+
+async function fetchEventNames(eventIds) {
+  const names = new Map();
+  for (let i = 0; i < eventIds.length; i += 200) {
+    const { data, error } = await supabase.from('events').select('event_id, event_name').in('event_id', eventIds.slice(i, i + 200));
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    for (const row of data) names.set(row.event_id, row.event_name);
+  }
+  return names;
+}
+
+// ==================== COMMANDS ====================
+
+async function listEvents(state, since) {
+  const events = await fetchEvents({ state, since });
+  if (!state) {
+    const counts = new Map();
+    for (const event of events) counts.set(event.event_state || '(none)', (counts.get(event.event_state || '(none)') || 0) + 1);
+    console.log(`📊 ${events.length} event(s) on or after ${since}, by state:`);
+    for (const name of [...EVENT_STATES, '(none)']) {
+      if (counts.has(name)) console.log(`  ${name.padEnd(10)} ${String(counts.get(name)).padStart(5)}`);
+    }
+    return;
+  }
+
+  console.log(`🏷️  ${events.length} ${state} event(s) on or after ${since}`);
+  for (const event of events) {
+    const removed = event.event_removed_at ? '  (removed from Tixr)' : '';
+    console.log(`  ${event.event_date}  ${String(event.event_id).padEnd(8)} ${event.event_name}  — ${event.event_state_reason || '-'}, since ${shortTime(event.event_state_updated)}${removed}`);
+  }
+}
+
+async function printHistory(eventId) {
+  const [{ data: event, error: eventError }, { data: history, error: historyError }] = await Promise.all([
+    supabase.from('events').select('event_name, event_date, event_status, event_state, event_removed_at').eq('event_id', eventId).maybeSingle(),
+    supabase.from(STATE_HISTORY_TABLE).select('*').eq('event_id', eventId).order('state_changed_at', { ascending: true }),
+  ]);
+  if (eventError) throw new Error(`Failed to read event ${eventId}: ${eventError.message}`);
+  if (historyError) throw new Error(`Failed to read ${STATE_HISTORY_TABLE}: ${historyError.message}`);
+  if (!event) throw new Error(`Event ${eventId} not found`);
+
+  console.log(`\n🏷️  ${event.event_name} (${event.event_date}) — ID ${eventId}`);
+  console.log(`   Now ${event.event_state || '(none)'}, ${event.event_status}${event.event_removed_at ? `, removed from Tixr ${shortTime(event.event_removed_at)}` : ''}`);
+  if (history.length === 0) {
+    console.log('   No state changes recorded yet.');
+    return;
+  }
+  for (const change of history) {
+    console.log(`   ${shortTime(change.state_changed_at)}  ${(change.state_from || '(none)').padEnd(10)} → ${change.state_to.padEnd(10)} ${change.state_reason || ''}`);
+  }
+}
+
+async function printChanges(since, toState) {
+  let query = supabase
+    .from(STATE_HISTORY_TABLE)
+    .select('*')
+    .gte('state_changed_at', since)
+    .order('state_changed_at', { ascending: false })
+    .limit(PAGE_SIZE);
+  if (toState) query = query.eq('state_to', toState);
+  const { data: changes, error } = await query;
+  if (error) throw new Error(`Failed to read ${STATE_HISTORY_TABLE}: ${error.message}`);
+
+  const names = await fetchEventNames([...new Set(changes.map(c => c.event_id))]);
+  console.log(`🔄 ${changes.length} state change(s) since ${since}${toState ? ` to ${toState}` : ''}${changes.length === PAGE_SIZE ? ' (most recent only)' : ''}`);
+  for (const change of changes) {
+    console.log(`  ${shortTime(change.state_changed_at)}  ${String(change.event_id).padEnd(8)} ${(change.state_from || '(none)').padEnd(10)} → ${change.state_to.padEnd(10)} ${names.get(change.event_id) || ''}  — ${change.state_reason || '-'}`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'list': {
+      const since = takeOption(args, '--since') || today();
+      await listEvents(args[0] ? parseState(args[0]) : null, since);
+      break;
+    }
+    case 'history':
+      if (!args[0]) throw new Error('Usage: node event-states.js history <event_id> [event_id...]');
+      for (const eventId of args) await printHistory(eventId);
+      break;
+    case 'changes': {
+      const since = takeOption(args, '--since') || addDays(today(), -DEFAULT_CHANGES_DAYS);
+      const toState = takeOption(args, '--to');
+      await printChanges(since, toState ? parseState(toState) : null);
+      break;
+    }
+    default:
+      console.log('Usage:');
+      console.log('  node event-states.js list [state] [--since YYYY-MM-DD]      - Events per state, or the events in one state (default: from today)');
+      console.log('  node event-states.js history <event_id...>                  - State changes of an event');
+      console.log(`  node event-states.js changes [--since YYYY-MM-DD] [--to STATE] - Recent state changes (default: last ${DEFAULT_CHANGES_DAYS} days)`);
+      console.log(`\n  States: ${EVENT_STATES.join(', ')}`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
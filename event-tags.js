@@ -0,0 +1,121 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { getClassificationRules } = require('./lib/classification');
+const { getGenres } = require('./lib/event-tags');
+
+// Sales by genre or series tag (events.event_genre / events.event_tags, set by the event
+// sync from config/genres.json), and the events no genre rule matched yet. After editing
+// config/genres.json, run `npm run sync` to reclassify every event.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+const NONE = '(none)';
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchEvents(since) {
+  const events = [];
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from('events')
+      .select('event_id, event_name, event_date, event_artist, event_genre, event_tags')
+      .order('event_date', { ascending: false })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (since) query = query.gte('event_date', since);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    events.push(...data);
+    if (data.length < PAGE_SIZE) return events;
+  }
+}
+
+async function fetchSales(eventIds) {
+  const sales = [];
+  for (let i = 0; i < eventIds.length; i += 200) {
+    const { data, error } = await supabase.from('events_sales').select('*').in('event_id', eventIds.slice(i, i + 200));
+    if (error) throw new Error(`Failed to read events_sales: ${error.message}`);
+    sales.push(...data);
+  }
+  return new Map(sales.map(s => [String(s.event_id), s]));
+}
+
+// ==================== COMMANDS ====================
+
+// `by` is "genre" (one group per event) or "tag" (an event counts once in each of its series)
+async function printReport(by, since) {
+  const events = await fetchEvents(since);
+  const salesByEvent = await fetchSales(events.map(e => e.event_id));
+  const ticketColumns = Object.keys(getClassificationRules().aggregates);
+
+  const groups = new Map();
+  for (const event of events) {
+    const keys = by === 'tag' ? (event.event_tags?.length ? event.event_tags : [NONE]) : [event.event_genre || NONE];
+    const row = salesByEvent.get(String(event.event_id));
+    const tickets = row ? ticketColumns.reduce((sum, column) => sum + (row[column] || 0), 0) : 0;
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, { events: 0, tickets: 0, gross: 0 });
+      const group = groups.get(key);
+      group.events++;
+      group.tickets += tickets;
+      group.gross += row?.sales_gross || 0;
+    }
+  }
+
+  console.log(`\n📊 Sales by ${by}${since ? ` since ${since}` : ''} — ${events.length} event(s)`);
+  console.log(`  ${by.toUpperCase().padEnd(20)} ${'EVENTS'.padStart(7)} ${'TICKETS'.padStart(9)} ${'GROSS'.padStart(16)} ${'TICKETS/EVENT'.padStart(14)} ${'GROSS/EVENT'.padStart(14)}`);
+  for (const [key, group] of [...groups].sort((a, b) => b[1].gross - a[1].gross)) {
+    console.log(`  ${key.padEnd(20)} ${String(group.events).padStart(7)} ${String(group.tickets).padStart(9)} ${money(group.gross).padStart(16)} ${String(Math.round(group.tickets / group.events)).padStart(14)} ${money(group.gross / group.events).padStart(14)}`);
+  }
+}
+
+async function listUnclassified(since) {
+  const events = (await fetchEvents(since)).filter(e => !e.event_genre);
+  const { path: genresPath } = getGenres();
+  console.log(`🔎 ${events.length} event(s) without a genre${since ? ` since ${since}` : ''}`);
+  for (const event of events) {
+    console.log(`  ${event.event_date}  ${String(event.event_id).padEnd(8)} ${event.event_name}${event.event_artist ? `  [${event.event_artist}]` : ''}`);
+  }
+  if (events.length > 0) console.log(`\n   File their artists or keywords in ${genresPath}, then run "npm run sync".`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+  const since = takeOption(args, '--since');
+  if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) throw new Error('--since must be a YYYY-MM-DD date');
+
+  switch (command) {
+    case 'report': {
+      const by = args[0] || 'genre';
+      if (!['genre', 'tag'].includes(by)) throw new Error('Usage: node event-tags.js report [genre|tag] [--since YYYY-MM-DD]');
+      await printReport(by, since);
+      break;
+    }
+    case 'unclassified':
+      await listUnclassified(since);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node event-tags.js report [genre|tag] [--since YYYY-MM-DD] - Events, tickets and gross per genre or series');
+      console.log('  node event-tags.js unclassified [--since YYYY-MM-DD]      - Events no genre rule matched');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
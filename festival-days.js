@@ -0,0 +1,184 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { fetchSalesInputs } = require('./lib/sales');
+const { ACTIVE_STATUSES, eventTimeZone, eventDays } = require('./lib/dates');
+const { FESTIVAL_DAYS_TABLE, buildFestivalDays, saveFestivalDays, checkInDays, saveDailyAttendance } = require('./lib/festival-days');
+
+// Multi-day events (festivals, weekend passes): list them, rebuild their per-day sales
+// (events_sales_days, lib/festival-days.js; sync-sales.js keeps them current), fill the
+// per-day attendance from the Tixr check-in history of every ticket, and print both.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+// Parallel check-in history requests during `attendance`
+const ATTENDANCE_CONCURRENCY = 10;
+const EVENT_COLUMNS = 'event_id, event_name, event_date, event_end_date, event_status, is_custom, venues(venue_timezone)';
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+const percent = (part, total) => (total > 0 ? `${Math.round((part / total) * 100)}%` : '-');
+const isMultiDay = (event) => Boolean(event.event_end_date && event.event_end_date > event.event_date);
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchEvent(eventId) {
+  const { data, error } = await supabase.from('events').select(EVENT_COLUMNS).eq('event_id', eventId).maybeSingle();
+  if (error) throw new Error(`Failed to read event ${eventId}: ${error.message}`);
+  if (!data) throw new Error(`Event ${eventId} not found`);
+  return data;
+}
+
+async function fetchMultiDayEvents({ statuses = null, since = null } = {}) {
+  let query = supabase.from('events').select(EVENT_COLUMNS).not('event_end_date', 'is', null).order('event_date', { ascending: false });
+  if (statuses) query = query.in('event_status', statuses).is('event_removed_at', null);
+  if (since) query = query.gte('event_date', since);
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read events: ${error.message}`);
+  return data.filter(e => isMultiDay(e) && e.is_custom !== true);
+}
+
+async function fetchSerials(eventId) {
+  const serials = new Set();
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from('events_tickets')
+      .select('ticket_serial')
+      .eq('event_id', eventId)
+      .eq('ticket_order_status', 'COMPLETE')
+      .is('ticket_removed_at', null)
+      .not('ticket_serial', 'is', null)
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to read tickets of event ${eventId}: ${error.message}`);
+    for (const row of data) serials.add(row.ticket_serial);
+    if (data.length < PAGE_SIZE) return [...serials];
+  }
+}
+
+// ==================== COMMANDS ====================
+
+async function listEvents(since) {
+  const events = await fetchMultiDayEvents({ since });
+  console.log(`🎪 ${events.length} multi-day event(s)${since ? ` since ${since}` : ''}`);
+  for (const event of events) {
+    const days = eventDays(event.event_date, event.event_end_date).length;
+    console.log(`  ${event.event_date} → ${event.event_end_date}  ${String(days).padStart(2)} days  ${event.event_status.padEnd(7)}  ${String(event.event_id).padEnd(8)} ${event.event_name}`);
+  }
+}
+
+async function buildDays(eventIds) {
+  const events = eventIds.length > 0
+    ? await Promise.all(eventIds.map(fetchEvent))
+    : await fetchMultiDayEvents({ statuses: ACTIVE_STATUSES });
+  console.log(`🔄 Rebuilding per-day sales of ${events.length} event(s)...`);
+
+  for (const event of events) {
+    try {
+      const rows = buildFestivalDays(event, await fetchSalesInputs(supabase, event.event_id));
+      await saveFestivalDays(supabase, event.event_id, rows);
+      console.log(`  ✅ Event ${event.event_id}: ${rows.length > 0 ? `${rows.length} days` : 'single-day, nothing to split'}`);
+    } catch (error) {
+      console.error(`  ❌ Event ${event.event_id}: ${error.message}`);
+    }
+  }
+}
+
+async function fillAttendance(eventId) {
+  const event = await fetchEvent(eventId);
+  if (!isMultiDay(event)) throw new Error(`Event ${eventId} is a single-day event`);
+  const tixr = createTixrClientFromEnv();
+  const days = eventDays(event.event_date, event.event_end_date);
+  const timeZone = eventTimeZone(event);
+  const serials = await fetchSerials(event.event_id);
+  console.log(`📡 Fetching the check-in history of ${serials.length} tickets of ${event.event_name}...`);
+
+  const counts = new Map();
+  let next = 0;
+  let failed = 0;
+  const worker = async () => {
+    while (next < serials.length) {
+      const serial = serials[next++];
+      try {
+        const transactions = await tixr.getAttendanceTransactions(event.event_id, serial);
+        for (const day of checkInDays(transactions, days, timeZone)) counts.set(day, (counts.get(day) || 0) + 1);
+      } catch (error) {
+        failed++;
+        if (failed <= 5) console.error(`  ❌ Ticket ${serial}: ${error.message}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: ATTENDANCE_CONCURRENCY }, worker));
+
+  // A partial count would read as lower attendance, so nothing is saved when tickets failed
+  if (failed > 0) throw new Error(`${failed} ticket(s) could not be fetched; attendance not saved`);
+  await saveDailyAttendance(supabase, event, counts);
+  console.log(`✅ Saved attendance of ${days.length} days.`);
+}
+
+async function printReport(eventId) {
+  const event = await fetchEvent(eventId);
+  const { data: rows, error } = await supabase
+    .from(FESTIVAL_DAYS_TABLE)
+    .select('*')
+    .eq('event_id', eventId)
+    .order('event_day', { ascending: true });
+  if (error) throw new Error(`Failed to read ${FESTIVAL_DAYS_TABLE}: ${error.message}`);
+
+  console.log(`\n🎪 ${event.event_name} (${event.event_date} → ${event.event_end_date || event.event_date}) — ID ${eventId}`);
+  if (rows.length === 0) {
+    console.log(isMultiDay(event) ? '  No per-day rows yet; run "build" first.' : '  Single-day event.');
+    return;
+  }
+  console.log(`  ${'DAY'.padEnd(16)} ${'DAY TIX'.padStart(8)} ${'PASSES'.padStart(8)} ${'TOTAL'.padStart(8)} ${'GROSS'.padStart(14)} ${'SCANNED'.padStart(8)} ${'SHOW%'.padStart(6)}`);
+  for (const row of rows) {
+    const scanned = row.attendance_updated ? row.attendance_scanned : null;
+    console.log(`  ${`${row.day_index}. ${row.event_day}`.padEnd(16)} ${String(row.tickets_day).padStart(8)} ${String(row.tickets_pass).padStart(8)} ${String(row.tickets_total).padStart(8)} ${money(row.gross_allocated).padStart(14)} ${String(scanned ?? '-').padStart(8)} ${(scanned === null ? '-' : percent(scanned, row.tickets_total)).padStart(6)}`);
+  }
+  if (!rows.some(r => r.attendance_updated)) console.log('\n   No attendance yet; run "attendance" after the event.');
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'list': {
+      const since = takeOption(args, '--since');
+      await listEvents(since);
+      break;
+    }
+    case 'build':
+      await buildDays(args);
+      break;
+    case 'attendance':
+      if (!args[0]) throw new Error('Usage: node festival-days.js attendance <event_id> [event_id...]');
+      for (const eventId of args) await fillAttendance(eventId);
+      break;
+    case 'report':
+      if (!args[0]) throw new Error('Usage: node festival-days.js report <event_id> [event_id...]');
+      for (const eventId of args) await printReport(eventId);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node festival-days.js list [--since YYYY-MM-DD]     - Multi-day events');
+      console.log('  node festival-days.js build [event_id...]           - Rebuild per-day sales (default: LIVE and ONGOING multi-day events)');
+      console.log('  node festival-days.js attendance <event_id...>      - Per-day attendance from the Tixr check-in history');
+      console.log('  node festival-days.js report <event_id...>          - Tickets, gross and attendance per day');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
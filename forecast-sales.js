@@ -0,0 +1,162 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { fetchSalesInputs } = require('./lib/sales');
+const { DAILY_TABLE, TICKETS_CATEGORY, buildPacing, savePacing } = require('./lib/pacing');
+const { ACTIVE_STATUSES, eventTimeZone, today } = require('./lib/dates');
+const { FORECAST_TABLE, pastCurves, forecastSales } = require('./lib/forecast');
+
+// Projects final GA / VIP / total sales and the sell-out date of every LIVE or ONGOING
+// event from the pacing of PAST events (lib/forecast.js) and writes them to events_forecast.
+// Past events need their pacing series: `node sales-pacing.js build --past` backfills them.
+//
+//   node forecast-sales.js [event_id...] [--dry-run]
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+
+// Tickets that take a place (TICKETS: no coat checks, transfers or unclassified items)
+// are checked against events.event_capacity, else the capacity of the event's venue; GA
+// and VIP are projected only
+const FORECAST_CATEGORIES = [TICKETS_CATEGORY, 'GA_PAID', 'VIP_PAID'];
+// Past events of the same artist are used when there are at least this many
+const MIN_ARTIST_SAMPLE = 3;
+
+async function fetchPastSeries() {
+  const { data: pastEvents, error } = await supabase
+    .from('events')
+    .select('event_id, event_artist, is_custom')
+    .eq('event_status', 'PAST');
+  if (error) throw new Error(`Failed to read past events: ${error.message}`);
+  const events = pastEvents.filter(e => e.is_custom !== true);
+  const eventIds = new Set(events.map(e => String(e.event_id)));
+
+  // series.get(category).get(event_id) -> daily rows by date
+  const series = new Map(FORECAST_CATEGORIES.map(category => [category, new Map()]));
+  for (let page = 0; ; page++) {
+    const { data, error: seriesError } = await supabase
+      .from(DAILY_TABLE)
+      .select('event_id, sales_date, days_before, sales_category, sales_cumulative_tickets')
+      .in('sales_category', FORECAST_CATEGORIES)
+      .order('event_id', { ascending: true })
+      .order('sales_category', { ascending: true })
+      .order('sales_date', { ascending: true })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (seriesError) throw new Error(`Failed to read ${DAILY_TABLE}: ${seriesError.message}`);
+
+    for (const row of data) {
+      const id = String(row.event_id);
+      if (!eventIds.has(id)) continue;
+      const byEvent = series.get(row.sales_category);
+      if (!byEvent.has(id)) byEvent.set(id, []);
+      byEvent.get(id).push(row);
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+  return { events, series };
+}
+
+async function fetchLiveEvents(eventIds) {
+  let query = supabase.from('events').select('event_id, event_name, event_date, event_artist, event_capacity, is_custom, venues(venue_capacity, venue_timezone)');
+  query = eventIds.length > 0 ? query.in('event_id', eventIds) : query.in('event_status', ACTIVE_STATUSES).is('event_removed_at', null);
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read events: ${error.message}`);
+  return data
+    .filter(e => e.is_custom !== true)
+    .map(({ venues, ...e }) => ({
+      ...e,
+      event_capacity: e.event_capacity || venues?.venue_capacity || null,
+      venue_timezone: venues?.venue_timezone || null,
+    }));
+}
+
+/**
+ * Forecast rows of one event: its pacing is rebuilt first (and saved, unless dry run) so
+ * today's sales count, then each category is projected from same-artist past events, or
+ * all of them if too few.
+ */
+async function forecastEvent(event, past, today, dryRun) {
+  const pacing = buildPacing(event, await fetchSalesInputs(supabase, event.event_id));
+  if (!dryRun) await savePacing(supabase, event.event_id, pacing);
+
+  const sameArtist = event.event_artist
+    ? past.events.filter(e => e.event_artist === event.event_artist).map(e => String(e.event_id))
+    : [];
+  const createdAt = new Date().toISOString();
+  const rows = [];
+
+  for (const category of FORECAST_CATEGORIES) {
+    const byEvent = past.series.get(category);
+    const artistCurves = pastCurves(sameArtist.map(id => byEvent.get(id) || []));
+    const basis = artistCurves.length >= MIN_ARTIST_SAMPLE ? 'artist' : 'all';
+    const curves = basis === 'artist' ? artistCurves : pastCurves(Array.from(byEvent.values()));
+
+    const own = pacing.daily.filter(r => r.sales_category === category);
+    const current = own.length > 0 ? own[own.length - 1].sales_cumulative_tickets : 0;
+    const capacity = category === TICKETS_CATEGORY ? event.event_capacity || null : null;
+    const forecast = forecastSales({ eventDate: event.event_date, today, current, capacity }, curves);
+    if (!forecast) continue;
+
+    rows.push({
+      event_id: event.event_id,
+      forecast_category: category,
+      ...forecast,
+      forecast_basis: basis,
+      forecast_created: createdAt,
+    });
+  }
+  return rows;
+}
+
+function printForecast(event, rows) {
+  console.log(`\n🔮 ${event.event_name} (${event.event_date})${event.event_capacity ? ` — capacity ${event.event_capacity}` : ''}`);
+  if (rows.length === 0) {
+    console.log('  ⚠️  No usable past events to forecast from.');
+    return;
+  }
+  for (const r of rows) {
+    const sellout = r.capacity
+      ? ` | sell-out ${r.sellout_date || 'not projected'} (${Math.round(r.sellout_probability * 100)}% of past curves reach capacity)`
+      : '';
+    console.log(`  ${r.forecast_category.padEnd(9)} ${String(r.current_tickets).padStart(6)} now → ${r.projected_tickets} [${r.projected_low}–${r.projected_high}] from ${r.sample_size} ${r.forecast_basis === 'artist' ? 'same-artist' : 'past'} events${sellout}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const eventIds = args.filter(arg => !arg.startsWith('--'));
+
+  const past = await fetchPastSeries();
+  const events = await fetchLiveEvents(eventIds);
+  console.log(`🔮 Forecasting ${events.length} event(s) from ${past.events.length} past events${dryRun ? ' (dry run)' : ''}...`);
+
+  // Rows of this run are created after it; older ones are categories that no longer forecast
+  const runStartedAt = new Date().toISOString();
+  let saved = 0;
+  for (const event of events) {
+    const rows = await forecastEvent(event, past, today(eventTimeZone(event)), dryRun);
+    printForecast(event, rows);
+    if (dryRun) continue;
+
+    if (rows.length > 0) {
+      const { error } = await supabase.from(FORECAST_TABLE).upsert(rows, { onConflict: 'event_id, forecast_category' });
+      if (error) throw new Error(`Failed to save forecast of event ${event.event_id}: ${error.message}`);
+      saved += rows.length;
+    }
+    const { error: staleError } = await supabase.from(FORECAST_TABLE).delete().eq('event_id', event.event_id).lt('forecast_created', runStartedAt);
+    if (staleError) throw new Error(`Failed to clear stale forecast of event ${event.event_id}: ${staleError.message}`);
+  }
+  if (!dryRun) console.log(`\n✨ Saved ${saved} forecast rows to ${FORECAST_TABLE}.`);
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,318 @@
+// lib/artists.js
+// Canonical artists. Event titles and Tixr lineups spell the same artist several ways
+// ("Dj Snake", "DJ SNAKE", "Dj Snake Live"), so every known spelling is an alias of one
+// row of `artists`. Names are compared on their alias key (uppercase, no accents, no
+// punctuation); an unknown name that is close enough to an alias is matched fuzzily,
+// anything else becomes an `artist_candidates` row for artists.js to review:
+//
+//   score >= AUTO_MATCH_SCORE   linked to the artist without review
+//   score >= SUGGEST_SCORE      candidate with that artist suggested
+//   below                       candidate without suggestion
+const { normalizeText } = require('./classification');
+
+const ARTISTS_TABLE = 'artists';
+const ALIASES_TABLE = 'artist_aliases';
+const CANDIDATES_TABLE = 'artist_candidates';
+const AUTO_MATCH_SCORE = 0.92;
+const SUGGEST_SCORE = 0.75;
+const PAGE_SIZE = 1000;
+
+// "Dj Snake - Live!" -> "DJ SNAKE LIVE"
+function aliasKey(name) {
+  return normalizeText(name).replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Similarity of two alias keys between 0 and 1: the better of the plain edit-distance
+ * ratio and the same on sorted words, so "SNAKE DJ" matches "DJ SNAKE".
+ */
+function similarity(a, b) {
+  const sortedWords = key => key.split(' ').sort().join(' ');
+  return Math.max(ratio(a, b), ratio(sortedWords(a), sortedWords(b)));
+}
+
+async function fetchAll(supabase, table, columns) {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase.from(table).select(columns).range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Loads artists, aliases and candidates. `byKey` maps every alias key (canonical names
+ * included) to its artist.
+ */
+async function loadArtistDirectory(supabase) {
+  const [artists, aliases, candidates] = await Promise.all([
+    fetchAll(supabase, ARTISTS_TABLE, 'artist_id, artist_name, artist_tixr_id'),
+    fetchAll(supabase, ALIASES_TABLE, 'alias_key, artist_id'),
+    fetchAll(supabase, CANDIDATES_TABLE, 'candidate_key, candidate_name, candidate_status, candidate_event_ids'),
+  ]);
+
+  const byId = new Map(artists.map(a => [a.artist_id, a]));
+  const byKey = new Map();
+  for (const artist of artists) byKey.set(aliasKey(artist.artist_name), artist);
+  for (const alias of aliases) if (byId.has(alias.artist_id)) byKey.set(alias.alias_key, byId.get(alias.artist_id));
+  const byTixrId = new Map(artists.filter(a => a.artist_tixr_id).map(a => [String(a.artist_tixr_id), a]));
+
+  return { artists, byId, byKey, byTixrId, candidates: new Map(candidates.map(c => [c.candidate_key, c])) };
+}
+
+/**
+ * Finds the artist of a name: `{ artist, score, exact }`. `artist` is null below the
+ * auto-match score, with the closest artist above SUGGEST_SCORE in `suggestion`.
+ */
+function matchArtist(directory, name, tixrId = null) {
+  if (tixrId !== null && tixrId !== undefined && directory.byTixrId.has(String(tixrId))) {
+    return { artist: directory.byTixrId.get(String(tixrId)), score: 1, exact: true };
+  }
+  const key = aliasKey(name);
+  if (!key) return { artist: null, score: 0, exact: false };
+  if (directory.byKey.has(key)) return { artist: directory.byKey.get(key), score: 1, exact: true };
+
+  let best = null;
+  let bestScore = 0;
+  for (const [aliasKeyValue, artist] of directory.byKey) {
+    const score = similarity(key, aliasKeyValue);
+    if (score > bestScore) {
+      best = artist;
+      bestScore = score;
+    }
+  }
+  if (bestScore >= AUTO_MATCH_SCORE) return { artist: best, score: bestScore, exact: false };
+  return { artist: null, score: bestScore, exact: false, suggestion: bestScore >= SUGGEST_SCORE ? best : null };
+}
+
+/**
+ * Records unmatched names as candidates (or adds the event to an existing one). Ignored
+ * candidates stay ignored.
+ */
+async function saveCandidates(supabase, directory, unmatched) {
+  const rows = new Map();
+  const seenAt = new Date().toISOString();
+  for (const { name, eventId, match } of unmatched) {
+    const key = aliasKey(name);
+    const existing = rows.get(key) || directory.candidates.get(key);
+    if (existing?.candidate_status === 'ignored') continue;
+    const eventIds = new Set(existing?.candidate_event_ids || []);
+    if (eventId !== null && eventId !== undefined) eventIds.add(Number(eventId));
+    rows.set(key, {
+      candidate_key: key,
+      candidate_name: existing?.candidate_name || name,
+      candidate_status: 'open',
+      candidate_event_ids: [...eventIds],
+      suggested_artist_id: match.suggestion?.artist_id ?? null,
+      suggested_score: match.suggestion ? Math.round(match.score * 100) / 100 : null,
+      candidate_last_seen: seenAt,
+    });
+  }
+  if (rows.size === 0) return 0;
+  const { error } = await supabase.from(CANDIDATES_TABLE).upsert([...rows.values()], { onConflict: 'candidate_key' });
+  if (error) throw new Error(`Failed to save artist candidates: ${error.message}`);
+  for (const row of rows.values()) directory.candidates.set(row.candidate_key, row);
+  return rows.size;
+}
+
+// Splits `list` into slices of at most 200, the most we put in one `in` filter
+function slices(list) {
+  const result = [];
+  for (let i = 0; i < list.length; i += 200) result.push(list.slice(i, i + 200));
+  return result;
+}
+
+// Sets `column` = artist id (null unlinks) on the rows of `table` whose `keyColumn` is in
+// the ids, one update per artist; only on the rows of `eventIds` when given
+async function applyLinks(supabase, table, column, keyColumn, idsByArtist, eventIds = null) {
+  for (const [artistId, keys] of idsByArtist) {
+    for (const keySlice of slices(keys)) {
+      for (const eventSlice of eventIds ? slices(eventIds) : [null]) {
+        let query = supabase.from(table).update({ [column]: artistId }).in(keyColumn, keySlice);
+        if (eventSlice) query = query.in('event_id', eventSlice);
+        const { error } = await query;
+        if (error) throw new Error(`Failed to link ${table} to artist ${artistId}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Sets events.event_artist_id from event_artist for the given events ({ event_id,
+ * event_artist }) and records the names no artist matches. Events whose headliner no
+ * longer matches an artist (or that have none) lose their link. Returns the counts.
+ */
+async function linkEventArtists(supabase, events, directory = null) {
+  directory = directory || await loadArtistDirectory(supabase);
+  const idsByArtist = new Map();
+  const unlinked = [];
+  const unmatched = [];
+  for (const event of events) {
+    const match = event.event_artist ? matchArtist(directory, event.event_artist) : null;
+    if (!match?.artist) {
+      unlinked.push(event.event_id);
+      if (match) unmatched.push({ name: event.event_artist, eventId: event.event_id, match });
+      continue;
+    }
+    if (!idsByArtist.has(match.artist.artist_id)) idsByArtist.set(match.artist.artist_id, []);
+    idsByArtist.get(match.artist.artist_id).push(event.event_id);
+  }
+  const linked = [...idsByArtist.values()].reduce((sum, ids) => sum + ids.length, 0);
+  if (unlinked.length > 0) idsByArtist.set(null, unlinked);
+  await applyLinks(supabase, 'events', 'event_artist_id', 'event_id', idsByArtist);
+  const candidates = await saveCandidates(supabase, directory, unmatched);
+  return { linked, candidates };
+}
+
+// events_lineup acts without an artist_id, of `eventIds` or of every event when null
+async function fetchUnlinkedActs(supabase, eventIds) {
+  const acts = [];
+  for (const eventSlice of eventIds ? slices(eventIds) : [null]) {
+    for (let page = 0; ; page++) {
+      let query = supabase
+        .from('events_lineup')
+        .select('event_id, artist_key, artist_name, artist_tixr_id')
+        .is('artist_id', null)
+        .order('event_id', { ascending: true })
+        .order('lineup_index', { ascending: true })
+        .order('act_index', { ascending: true })
+        .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+      if (eventSlice) query = query.in('event_id', eventSlice);
+      const { data, error } = await query;
+      if (error) throw new Error(`Failed to read events_lineup: ${error.message}`);
+      acts.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+  return acts;
+}
+
+/**
+ * Sets events_lineup.artist_id on the acts of the given events (every event when
+ * `eventIds` is null) not linked yet, by Tixr artist id then name, and records the names
+ * no artist matches.
+ */
+async function linkLineupArtists(supabase, eventIds = null, directory = null) {
+  directory = directory || await loadArtistDirectory(supabase);
+  const acts = await fetchUnlinkedActs(supabase, eventIds);
+
+  const keysByArtist = new Map();
+  const unmatched = [];
+  const seen = new Set();
+  for (const act of acts) {
+    const match = matchArtist(directory, act.artist_name, act.artist_tixr_id);
+    if (!match.artist) {
+      unmatched.push({ name: act.artist_name, eventId: act.event_id, match });
+      continue;
+    }
+    if (seen.has(act.artist_key)) continue;
+    seen.add(act.artist_key);
+    if (!keysByArtist.has(match.artist.artist_id)) keysByArtist.set(match.artist.artist_id, []);
+    keysByArtist.get(match.artist.artist_id).push(act.artist_key);
+  }
+  await applyLinks(supabase, 'events_lineup', 'artist_id', 'artist_key', keysByArtist, eventIds);
+  const candidates = await saveCandidates(supabase, directory, unmatched);
+  return { linked: seen.size, candidates };
+}
+
+/**
+ * Adds `name` as an alias of the artist and closes the matching candidate.
+ */
+async function addAlias(supabase, artistId, name, source = 'manual') {
+  const key = aliasKey(name);
+  const { error } = await supabase
+    .from(ALIASES_TABLE)
+    .upsert({ alias_key: key, alias_name: name, artist_id: artistId, alias_source: source }, { onConflict: 'alias_key' });
+  if (error) throw new Error(`Failed to add alias "${name}": ${error.message}`);
+  const { error: candidateError } = await supabase
+    .from(CANDIDATES_TABLE)
+    .update({ candidate_status: 'resolved', suggested_artist_id: artistId })
+    .eq('candidate_key', key);
+  if (candidateError) throw new Error(`Failed to resolve candidate "${name}": ${candidateError.message}`);
+  return key;
+}
+
+async function createArtist(supabase, name, tixrId = null) {
+  const { data, error } = await supabase
+    .from(ARTISTS_TABLE)
+    .insert({ artist_name: name, artist_tixr_id: tixrId })
+    .select('artist_id, artist_name')
+    .single();
+  if (error) throw new Error(`Failed to create artist "${name}": ${error.message}`);
+  await addAlias(supabase, data.artist_id, name, 'canonical');
+  return data;
+}
+
+/**
+ * Folds artist `fromId` into `intoId`: its aliases, name, Tixr artist id, events and
+ * lineup acts move over, then it is deleted. Two artists with different Tixr ids are not
+ * merged: Tixr says they are different artists.
+ */
+async function mergeArtists(supabase, fromId, intoId) {
+  const { data: from, error } = await supabase.from(ARTISTS_TABLE).select('*').eq('artist_id', fromId).single();
+  if (error) throw new Error(`Artist ${fromId} not found: ${error.message}`);
+  const { data: into, error: intoError } = await supabase.from(ARTISTS_TABLE).select('*').eq('artist_id', intoId).single();
+  if (intoError) throw new Error(`Artist ${intoId} not found: ${intoError.message}`);
+  if (from.artist_tixr_id && into.artist_tixr_id && String(from.artist_tixr_id) !== String(into.artist_tixr_id)) {
+    throw new Error(`Artists ${fromId} and ${intoId} have different Tixr ids (${from.artist_tixr_id}, ${into.artist_tixr_id}); not merging`);
+  }
+
+  // artist_tixr_id is unique, so it is cleared on `from` before `into` takes it
+  if (from.artist_tixr_id && !into.artist_tixr_id) {
+    for (const [id, tixrId] of [[fromId, null], [intoId, from.artist_tixr_id]]) {
+      const { error: tixrError } = await supabase.from(ARTISTS_TABLE).update({ artist_tixr_id: tixrId }).eq('artist_id', id);
+      if (tixrError) throw new Error(`Failed to move the Tixr id of artist ${fromId}: ${tixrError.message}`);
+    }
+  }
+
+  const steps = [
+    [ALIASES_TABLE, { artist_id: intoId }, 'artist_id'],
+    ['events', { event_artist_id: intoId }, 'event_artist_id'],
+    ['events_lineup', { artist_id: intoId }, 'artist_id'],
+    [CANDIDATES_TABLE, { suggested_artist_id: intoId }, 'suggested_artist_id'],
+  ];
+  for (const [table, values, column] of steps) {
+    const { error: updateError } = await supabase.from(table).update(values).eq(column, fromId);
+    if (updateError) throw new Error(`Failed to move ${table} from artist ${fromId}: ${updateError.message}`);
+  }
+  await addAlias(supabase, intoId, from.artist_name, 'merge');
+
+  const { error: deleteError } = await supabase.from(ARTISTS_TABLE).delete().eq('artist_id', fromId);
+  if (deleteError) throw new Error(`Failed to delete artist ${fromId}: ${deleteError.message}`);
+  return from;
+}
+
+module.exports = {
+  ARTISTS_TABLE,
+  ALIASES_TABLE,
+  CANDIDATES_TABLE,
+  AUTO_MATCH_SCORE,
+  SUGGEST_SCORE,
+  aliasKey,
+  similarity,
+  loadArtistDirectory,
+  matchArtist,
+  linkEventArtists,
+  linkLineupArtists,
+  addAlias,
+  createArtist,
+  mergeArtists,
+};
@@ -0,0 +1,88 @@
+// lib/attribution.js
+// Where an event's sales came from. Every COMPLETE order line is credited, whole order
+// at a time, to its ref_type (DIRECT, SOCIAL, REFERRING_SITE...), its ref_id, its promo
+// code and its promoter (lib/promoters.js); events_attribution keeps one row per event
+// and value.
+const { sumOrderAmounts } = require('./orders');
+const { resolvePromoter } = require('./promoters');
+
+const ATTRIBUTION_TABLE = 'events_attribution';
+const ATTRIBUTION_TYPES = ['ref_type', 'ref_id', 'promo_code', 'promoter'];
+
+const clean = (value) => (value === null || value === undefined || value === '' ? null : String(value).trim());
+
+/**
+ * The value an order line is credited to for each attribution type (null = not credited).
+ */
+function attributionValues(row) {
+  const refType = clean(row.order_ref_type)?.toUpperCase() || 'UNKNOWN';
+  const refId = clean(row.order_ref);
+  return {
+    ref_type: refType,
+    ref_id: refId ? `${refType}:${refId}` : null,
+    promo_code: clean(row.order_promo_code),
+    promoter: resolvePromoter(row)?.id ?? null,
+  };
+}
+
+/**
+ * events_attribution rows for one event from its COMPLETE, non-removed order lines
+ * (the rows lib/sales.js fetches for events_sales).
+ */
+function buildAttribution(eventId, orders) {
+  const groups = new Map();
+  for (const row of orders) {
+    if (row.order_status !== 'COMPLETE') continue;
+    for (const [type, value] of Object.entries(attributionValues(row))) {
+      if (value === null) continue;
+      const key = `${type}|${value}`;
+      if (!groups.has(key)) groups.set(key, { type, value, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+  }
+
+  const updatedAt = new Date().toISOString();
+  return Array.from(groups.values()).map(({ type, value, rows }) => ({
+    event_id: eventId,
+    attribution_type: type,
+    attribution_value: value,
+    attribution_orders: new Set(rows.map(r => r.order_id)).size,
+    attribution_tickets: rows.reduce((sum, r) => sum + (r.order_quantity || 0), 0),
+    attribution_gross: sumOrderAmounts(rows, 'order_line_gross', 'order_gross'),
+    attribution_net: sumOrderAmounts(rows, 'order_line_net', 'order_net'),
+    attribution_updated: updatedAt,
+  }));
+}
+
+// Drops the event's attribution rows whose type and value are not in `rows`
+async function deleteStaleAttribution(supabase, eventId, rows) {
+  const { data, error } = await supabase.from(ATTRIBUTION_TABLE).select('attribution_type, attribution_value').eq('event_id', eventId);
+  if (error) throw new Error(`Failed to read attribution of event ${eventId}: ${error.message}`);
+  const kept = new Set(rows.map(r => `${r.attribution_type}|${r.attribution_value}`));
+  for (const type of ATTRIBUTION_TYPES) {
+    const stale = data.filter(r => r.attribution_type === type && !kept.has(`${type}|${r.attribution_value}`)).map(r => r.attribution_value);
+    if (stale.length === 0) continue;
+    const { error: deleteError } = await supabase.from(ATTRIBUTION_TABLE).delete()
+      .eq('event_id', eventId).eq('attribution_type', type).in('attribution_value', stale);
+    if (deleteError) throw new Error(`Failed to clear attribution of event ${eventId}: ${deleteError.message}`);
+  }
+}
+
+/**
+ * Writes the event's attribution rows, then drops the values that no longer have sales.
+ */
+async function saveAttribution(supabase, eventId, rows) {
+  if (rows.length > 0) {
+    const { error } = await supabase.from(ATTRIBUTION_TABLE).upsert(rows, { onConflict: 'event_id, attribution_type, attribution_value' });
+    if (error) throw new Error(`Failed to save attribution of event ${eventId}: ${error.message}`);
+  }
+  await deleteStaleAttribution(supabase, eventId, rows);
+}
+
+module.exports = {
+  ATTRIBUTION_TABLE,
+  ATTRIBUTION_TYPES,
+  attributionValues,
+  buildAttribution,
+  saveAttribution,
+};
@@ -0,0 +1,145 @@
+// lib/classification.js
+// The one place sale items get a reporting category (GA_PAID, COMP_VIP, COATCHECK...).
+// The rules live in config/classification-rules.json; sales aggregation, order-sync.js
+// and verify-classification.js all go through here so a rule change is made once.
+// Bump `version` in the rules file with every edit: events_orders and events_tickets rows
+// carry the version they were classified with, and reclassify-orders.js rewrites the
+// stale ones.
+//
+// A rule matches when every condition it has is true:
+//   category          exact Tixr category, one of the list
+//   categoryContains  Tixr category contains one of the list
+//   nameAny           name contains one of the list; a list of lists means one of each
+//   nameNone          name contains none of the list
+//   price             FREE (gross = 0) or PAID (gross > 0)
+//   ref / refNot      order ref_type is / is not one of the list
+//   anyOf             at least one of the nested condition sets matches
+//
+// Besides the rules, `aggregates` maps each events_sales ticket column to its categories
+// and `capacity` lists the categories that take a place out of the event capacity (coat
+// checks do not); without it, every aggregated category does.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'classification-rules.json');
+const CONDITION_KEYS = ['category', 'categoryContains', 'nameAny', 'nameNone', 'price', 'ref', 'refNot', 'anyOf'];
+
+let cachedRuleset = null;
+
+// Uppercase without accents: "Vestiaire Invité" -> "VESTIAIRE INVITE"
+function normalizeText(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().trim();
+}
+
+// ==================== LOADING ====================
+
+function compileConditions(conditions, ruleId) {
+  const unknown = Object.keys(conditions).filter(key => !CONDITION_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`Classification rule ${ruleId}: unknown condition(s) ${unknown.join(', ')}`);
+  if (conditions.price && !['FREE', 'PAID'].includes(conditions.price)) {
+    throw new Error(`Classification rule ${ruleId}: price must be FREE or PAID`);
+  }
+
+  const list = values => values && values.map(normalizeText);
+  const nameAny = conditions.nameAny && (Array.isArray(conditions.nameAny[0]) ? conditions.nameAny : [conditions.nameAny]);
+
+  return {
+    category: list(conditions.category),
+    categoryContains: list(conditions.categoryContains),
+    nameAny: nameAny && nameAny.map(list),
+    nameNone: list(conditions.nameNone),
+    price: conditions.price,
+    ref: list(conditions.ref),
+    refNot: list(conditions.refNot),
+    anyOf: conditions.anyOf && conditions.anyOf.map(nested => compileConditions(nested, ruleId)),
+  };
+}
+
+/**
+ * Reads and validates a rules file. Throws on anything malformed so a bad edit fails
+ * the script right away instead of silently reclassifying.
+ */
+function loadClassificationRules(rulesPath = process.env.CLASSIFICATION_RULES_PATH || DEFAULT_RULES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  if (!Array.isArray(raw.rules)) throw new Error(`${rulesPath}: "rules" must be a list`);
+
+  const ids = new Set();
+  const rules = raw.rules.map((rule, index) => {
+    const { id = `#${index + 1}`, result, ...conditions } = rule;
+    if (ids.has(id)) throw new Error(`${rulesPath}: duplicate rule id ${id}`);
+    ids.add(id);
+    if (!result) throw new Error(`${rulesPath}: rule ${id} has no result`);
+    return { id, result, conditions: compileConditions(conditions, id) };
+  });
+
+  return {
+    version: raw.version,
+    path: rulesPath,
+    fallback: raw.fallback || 'UNCATEGORIZED',
+    rules,
+    aggregates: raw.aggregates || {},
+    capacity: raw.capacity || Object.values(raw.aggregates || {}).flat(),
+  };
+}
+
+function getClassificationRules() {
+  if (!cachedRuleset) cachedRuleset = loadClassificationRules();
+  return cachedRuleset;
+}
+
+// ==================== MATCHING ====================
+
+function matchesConditions(c, item) {
+  if (c.category && !c.category.includes(item.category)) return false;
+  if (c.categoryContains && !c.categoryContains.some(k => item.category.includes(k))) return false;
+  if (c.nameAny && !c.nameAny.every(group => group.some(k => item.name.includes(k)))) return false;
+  if (c.nameNone && c.nameNone.some(k => item.name.includes(k))) return false;
+  if (c.price === 'FREE' && item.gross !== 0) return false;
+  if (c.price === 'PAID' && !(item.gross > 0)) return false;
+  if (c.ref && !c.ref.includes(item.refType)) return false;
+  if (c.refNot && c.refNot.includes(item.refType)) return false;
+  if (c.anyOf && !c.anyOf.some(nested => matchesConditions(nested, item))) return false;
+  return true;
+}
+
+/**
+ * Classifies `{ name, category, refType, gross }`. Returns `{ category, ruleId }`;
+ * ruleId is null when nothing matched and the fallback category was used.
+ */
+function explainClassification(input, ruleset = getClassificationRules()) {
+  const gross = parseFloat(input.gross);
+  const item = {
+    name: normalizeText(input.name),
+    category: normalizeText(input.category),
+    refType: normalizeText(input.refType),
+    gross: Number.isFinite(gross) ? gross : 0,
+  };
+
+  const rule = ruleset.rules.find(r => matchesConditions(r.conditions, item));
+  return rule ? { category: rule.result, ruleId: rule.id } : { category: ruleset.fallback, ruleId: null };
+}
+
+function classify(input, ruleset) {
+  return explainClassification(input, ruleset).category;
+}
+
+// events_orders row -> category, on the line's share of the order gross; lines written
+// before the amounts were allocated only have the order gross
+function classifyOrderRow(row, ruleset) {
+  return classify({
+    name: row.order_sales_item_name,
+    category: row.order_category,
+    refType: row.order_ref_type,
+    gross: row.order_line_gross ?? row.order_gross,
+  }, ruleset);
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  normalizeText,
+  loadClassificationRules,
+  getClassificationRules,
+  explainClassification,
+  classify,
+  classifyOrderRow,
+};
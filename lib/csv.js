@@ -0,0 +1,19 @@
+// lib/csv.js
+// CSV writing shared by the export scripts (exportcsv.js, promoters.js).
+
+// Escape a single CSV field per RFC 4180
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  if (/[",\n\r]/.test(s)) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+// Header + rows (arrays of values) -> CSV text with CRLF line endings
+function toCsv(header, rows) {
+  const lines = [header, ...rows].map(row => row.map(csvField).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { csvField, toCsv };
@@ -0,0 +1,163 @@
+// lib/dates.js
+// Every event-day and business-day cutoff calculation, in the time zone of the event
+// instead of the server's (the GitHub runner is UTC). Events are in America/Montreal
+// (EVENT_TIME_ZONE) unless their venue has a venue_timezone (config/venues.json
+// `timezone`).
+//
+//   event day     the local date the event starts on (events.event_date)
+//   end day       the business day the event ends on (events.event_end_date); later than
+//                 the event day only for multi-day events such as festivals
+//   business day  the local date, hours before BUSINESS_DAY_CUTOFF_HOUR counting as the
+//                 day before, so a show ending at 03:00 ends on the day it started
+//   cutoff        BUSINESS_DAY_CUTOFF_HOUR local time the day after the end day: the
+//                 event is PAST and its orders get a last sync
+//
+// Statuses: LIVE before the event, ONGOING between the first day's business-day start
+// and the cutoff of a multi-day event, PAST after the cutoff.
+// Local times are turned into instants with the zone's offset at that date, so the
+// cutoff stays at 04:00 local across DST changes.
+const DEFAULT_TIME_ZONE = process.env.EVENT_TIME_ZONE || 'America/Montreal';
+const BUSINESS_DAY_CUTOFF_HOUR = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Events still selling and syncing
+const ACTIVE_STATUSES = ['LIVE', 'ONGOING'];
+
+const formats = new Map();
+
+// Throws a RangeError on an unknown zone
+function partsFormat(timeZone) {
+  if (!formats.has(timeZone)) {
+    formats.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }));
+  }
+  return formats.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    partsFormat(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Time zone of an events row: its venue's (embedded as `venues`) or the default
+function eventTimeZone(event) {
+  return event?.venues?.venue_timezone || event?.venue_timezone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a zone: `{ date: 'YYYY-MM-DD', hour, minute, second }`.
+ */
+function zonedParts(timestamp, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(partsFormat(timeZone).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+// Local date of an instant, 'YYYY-MM-DD'; null for no timestamp
+function localDate(timestamp, timeZone = DEFAULT_TIME_ZONE) {
+  if (!timestamp) return null;
+  return zonedParts(timestamp, timeZone).date;
+}
+
+function today(timeZone = DEFAULT_TIME_ZONE) {
+  return localDate(new Date(), timeZone);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole calendar days from `fromDate` to `toDate` (both 'YYYY-MM-DD')
+function daysBetween(fromDate, toDate) {
+  const [fy, fm, fd] = fromDate.split('-').map(Number);
+  const [ty, tm, td] = toDate.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / DAY_MS);
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function zoneOffset(instant, timeZone) {
+  const { date, hour, minute, second } = zonedParts(instant, timeZone);
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d, hour, minute, second) - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant the zone's clocks show `date` at `hour`:00. An hour repeated by a DST
+ * change is its first occurrence; an hour skipped by one is the instant right after.
+ */
+function zonedTime(date, hour, timeZone = DEFAULT_TIME_ZONE) {
+  const [y, m, d] = date.split('-').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, hour);
+  // The offset at the wall-clock time read as UTC can be the wrong side of a change, so
+  // it is looked up again at the first guess
+  const firstGuess = wallClock - zoneOffset(wallClock, timeZone);
+  const secondGuess = wallClock - zoneOffset(firstGuess, timeZone);
+  if (zonedParts(secondGuess, timeZone).hour === hour) return new Date(secondGuess);
+  return new Date(Math.max(firstGuess, secondGuess));
+}
+
+// Business day of an instant: hours before the cutoff belong to the day before
+function businessDay(timestamp, timeZone = DEFAULT_TIME_ZONE) {
+  const { date, hour } = zonedParts(timestamp, timeZone);
+  return hour < BUSINESS_DAY_CUTOFF_HOUR ? addDays(date, -1) : date;
+}
+
+// End day of an event starting on `eventDate` and ending at `endTimestamp`; never before
+// the event day, and the event day itself without an end
+function eventEndDay(eventDate, endTimestamp, timeZone = DEFAULT_TIME_ZONE) {
+  if (!eventDate || !endTimestamp) return eventDate || null;
+  const endDay = businessDay(endTimestamp, timeZone);
+  return endDay > eventDate ? endDay : eventDate;
+}
+
+// Every day from the event day to the end day, 'YYYY-MM-DD'
+function eventDays(eventDate, endDate) {
+  const days = [eventDate];
+  while (endDate && days[days.length - 1] < endDate) days.push(addDays(days[days.length - 1], 1));
+  return days;
+}
+
+// The instant an event ends for good: the cutoff hour the day after its last day
+function eventCutoff(eventDate, timeZone = DEFAULT_TIME_ZONE) {
+  return zonedTime(addDays(eventDate, 1), BUSINESS_DAY_CUTOFF_HOUR, timeZone);
+}
+
+/**
+ * LIVE, ONGOING or PAST (see above). `endDate` defaults to the event day; an undated
+ * event stays LIVE.
+ */
+function computeEventStatus(eventDate, endDate = null, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  if (!eventDate) return 'LIVE';
+  const lastDay = endDate && endDate > eventDate ? endDate : eventDate;
+  if (now >= eventCutoff(lastDay, timeZone)) return 'PAST';
+  if (lastDay > eventDate && now >= zonedTime(eventDate, BUSINESS_DAY_CUTOFF_HOUR, timeZone)) return 'ONGOING';
+  return 'LIVE';
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  BUSINESS_DAY_CUTOFF_HOUR,
+  ACTIVE_STATUSES,
+  isValidTimeZone,
+  eventTimeZone,
+  zonedParts,
+  localDate,
+  today,
+  addDays,
+  daysBetween,
+  zonedTime,
+  businessDay,
+  eventEndDay,
+  eventDays,
+  eventCutoff,
+  computeEventStatus,
+};
@@ -0,0 +1,74 @@
+// lib/dead-letter.js
+// Work that failed for good (a webhook out of retries, a sync batch or event that could
+// not be written) is kept in the dead_letters table with everything needed to run it
+// again. dead-letter.js lists, inspects, retries and discards entries.
+//
+// `kind` says how an entry is retried:
+//   webhook           payload { queue_id, kind, payload }      → back to the webhook queue
+//   db_batch          payload { table, rows, onConflict }      → upsert the rows again
+//   order_sync_event  ref = event_id                           → full order sync of the event
+//   sales_aggregate   ref = event_id                           → recompute events_sales
+
+const DEAD_LETTER_TABLE = 'dead_letters';
+
+/**
+ * Stores a failure. Called from error paths, so it never throws: if the table itself is
+ * unreachable the entry is logged instead and null is returned.
+ */
+async function recordDeadLetter(supabase, { source, kind, ref = null, payload = {}, error, attempts = 1 }) {
+  const entry = {
+    source,
+    kind,
+    ref: ref === null || ref === undefined ? null : String(ref),
+    payload,
+    error: error?.message || String(error),
+    attempts,
+    status: 'open',
+  };
+
+  try {
+    const { data, error: insertError } = await supabase.from(DEAD_LETTER_TABLE).insert(entry).select('id').single();
+    if (insertError) throw insertError;
+    console.error(`  🪦 Recorded dead letter #${data.id} (${source} / ${kind}${entry.ref ? ` ${entry.ref}` : ''}).`);
+    return data.id;
+  } catch (storeError) {
+    console.error(`  ❌ Could not record dead letter (${storeError.message}):`, JSON.stringify(entry));
+    return null;
+  }
+}
+
+async function listDeadLetters(supabase, { status = 'open', source, limit = 50 } = {}) {
+  let query = supabase
+    .from(DEAD_LETTER_TABLE)
+    .select('id, source, kind, ref, error, attempts, status, created_at, updated_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (status !== 'all') query = query.eq('status', status);
+  if (source) query = query.eq('source', source);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read dead letters: ${error.message}`);
+  return data;
+}
+
+async function getDeadLetter(supabase, id) {
+  const { data, error } = await supabase.from(DEAD_LETTER_TABLE).select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(`Failed to read dead letter ${id}: ${error.message}`);
+  return data;
+}
+
+async function updateDeadLetter(supabase, id, fields) {
+  const now = new Date().toISOString();
+  const update = { ...fields, updated_at: now };
+  if (['resolved', 'retried', 'discarded'].includes(fields.status)) update.resolved_at = now;
+  const { error } = await supabase.from(DEAD_LETTER_TABLE).update(update).eq('id', id);
+  if (error) throw new Error(`Failed to update dead letter ${id}: ${error.message}`);
+}
+
+module.exports = {
+  DEAD_LETTER_TABLE,
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+};
@@ -0,0 +1,159 @@
+// lib/event-state.js
+// Lifecycle state of an event (events.event_state), next to the time-based
+// LIVE/ONGOING/PAST event_status that drives the syncs (lib/dates.js):
+//
+//   DRAFT      unpublished in Tixr
+//   ANNOUNCED  published, no tier on sale yet
+//   ON_SALE    at least one tier can still be bought
+//   SOLD_OUT   every tier is sold out
+//   POSTPONED  Tixr says so, or the event name does ("Reporté", "Postponed")
+//   CANCELLED  Tixr says so, the name does ("Annulé", "Cancelled"), or the event was
+//              removed from Tixr before it took place
+//   ARCHIVED   the event is PAST, or was removed from Tixr after it took place
+//
+// Cancelled and postponed win over everything else; a cancelled event stays CANCELLED
+// once PAST. Every change is added to events_status_history with its reason, so we know
+// when an event went on sale, sold out or was postponed. Removed and unpublished events
+// are kept, flagged with event_removed_at, instead of being deleted.
+const { aliasKey } = require('./artists');
+
+const EVENT_STATES = ['DRAFT', 'ANNOUNCED', 'ON_SALE', 'SOLD_OUT', 'POSTPONED', 'CANCELLED', 'ARCHIVED'];
+const STATE_HISTORY_TABLE = 'events_status_history';
+const PAGE_SIZE = 1000;
+const HISTORY_BATCH_SIZE = 500;
+
+// Tixr has sent the event state under several names; values are compared uppercased
+const TIXR_STATE_FIELDS = ['status', 'state', 'event_status', 'sale_status'];
+const TIXR_STATE_VALUES = [
+  ['CANCELLED', ['CANCELLED', 'CANCELED']],
+  ['POSTPONED', ['POSTPONED', 'RESCHEDULED']],
+  ['DRAFT', ['DRAFT', 'UNPUBLISHED', 'HIDDEN']],
+  ['SOLD_OUT', ['SOLD_OUT', 'SOLDOUT', 'SOLD OUT']],
+];
+// Whole words of the event name (alias keys, so "Annulé" is ANNULE)
+const NAME_MARKERS = [
+  ['CANCELLED', ['CANCELLED', 'CANCELED', 'ANNULE']],
+  ['POSTPONED', ['POSTPONED', 'RESCHEDULED', 'REPORTE']],
+  ['SOLD_OUT', ['SOLD OUT', 'COMPLET']],
+];
+
+function tixrState(tixrEvent) {
+  if (tixrEvent.cancelled === true || tixrEvent.canceled === true) return { state: 'CANCELLED', reason: 'cancelled in Tixr' };
+  for (const field of TIXR_STATE_FIELDS) {
+    const value = typeof tixrEvent[field] === 'string' ? tixrEvent[field].trim().toUpperCase() : null;
+    if (!value) continue;
+    const match = TIXR_STATE_VALUES.find(([, values]) => values.includes(value));
+    if (match) return { state: match[0], reason: `Tixr ${field} ${value}` };
+  }
+  if (tixrEvent.published === false) return { state: 'DRAFT', reason: 'not published in Tixr' };
+  if (tixrEvent.sold_out === true) return { state: 'SOLD_OUT', reason: 'sold out in Tixr' };
+  return null;
+}
+
+function nameState(name) {
+  const text = ` ${aliasKey(name || '')} `;
+  for (const [state, markers] of NAME_MARKERS) {
+    const marker = markers.find(m => text.includes(` ${m} `));
+    if (marker) return { state, reason: `name mentions ${marker}` };
+  }
+  return null;
+}
+
+const isSoldOutTier = (tier) => /SOLD/i.test(tier.tier_status || '')
+  || (tier.tier_capacity > 0 && (tier.tier_sold_tixr ?? 0) >= tier.tier_capacity);
+
+// ANNOUNCED, SOLD_OUT or ON_SALE from events_tiers rows (lib/tiers.js); null without tiers
+function tierState(tiers, now) {
+  if (!tiers || tiers.length === 0) return null;
+  if (tiers.every(t => t.tier_start && new Date(t.tier_start) > now)) return { state: 'ANNOUNCED', reason: 'no tier on sale yet' };
+  if (tiers.every(isSoldOutTier)) return { state: 'SOLD_OUT', reason: 'every tier sold out' };
+  return { state: 'ON_SALE', reason: 'tiers on sale' };
+}
+
+/**
+ * `{ state, reason }` of a Tixr event whose LIVE/ONGOING/PAST status is `status`.
+ * `tiers` are its events_tiers rows (extractEventTiers), null when the payload has none.
+ */
+function deriveEventState({ tixrEvent, status, tiers = null, now = new Date() }) {
+  const fromTixr = tixrState(tixrEvent);
+  const fromName = nameState(tixrEvent.name);
+  for (const state of ['CANCELLED', 'POSTPONED']) {
+    if (fromTixr?.state === state) return fromTixr;
+    if (fromName?.state === state) return fromName;
+  }
+  if (status === 'PAST') return { state: 'ARCHIVED', reason: 'event is past' };
+  if (fromTixr) return fromTixr;
+  return tierState(tiers, now) || fromName || { state: 'ON_SALE', reason: 'published' };
+}
+
+// State of an events row ({ event_state, event_state_reason }) once it turns PAST
+function pastEventState(event) {
+  if (['CANCELLED', 'POSTPONED'].includes(event.event_state)) return { state: event.event_state, reason: event.event_state_reason };
+  return { state: 'ARCHIVED', reason: 'event is past' };
+}
+
+/**
+ * State of an events row ({ event_status, event_state }) that Tixr unpublished (`action`
+ * UNPUBLISH) or removed (REMOVED, or missing from the event list).
+ */
+function removedEventState(event, action = 'REMOVED') {
+  if (event.event_state === 'CANCELLED') return { state: 'CANCELLED', reason: event.event_state_reason || 'cancelled' };
+  if (event.event_status === 'PAST') return { state: 'ARCHIVED', reason: 'removed from Tixr after the event' };
+  if (action === 'UNPUBLISH') return { state: 'DRAFT', reason: 'unpublished in Tixr' };
+  return { state: 'CANCELLED', reason: 'removed from Tixr before the event' };
+}
+
+/**
+ * Current { event_state, event_state_updated } of the events, by event_id; every event
+ * when `eventIds` is null.
+ */
+async function fetchEventStates(supabase, eventIds = null) {
+  const states = new Map();
+  for (let page = 0; ; page++) {
+    let query = supabase.from('events').select('event_id, event_state, event_state_updated').order('event_id');
+    if (eventIds) query = query.in('event_id', eventIds);
+    const { data, error } = await query.range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to read event states: ${error.message}`);
+    for (const row of data) states.set(row.event_id, row);
+    if (data.length < PAGE_SIZE) return states;
+  }
+}
+
+/**
+ * Stamps event_state_updated on an events row about to be saved, whose event_state was
+ * just derived, from the row's `previous` state. Returns the history row when the state
+ * changed, else null.
+ */
+function applyEventState(row, previous = null) {
+  const changed = previous?.event_state !== row.event_state;
+  const now = new Date().toISOString();
+  row.event_state_updated = changed ? now : previous.event_state_updated;
+  if (!changed) return null;
+  return {
+    event_id: row.event_id,
+    state_from: previous?.event_state ?? null,
+    state_to: row.event_state,
+    state_reason: row.event_state_reason,
+    state_changed_at: now,
+  };
+}
+
+// Adds history rows; they are only ever inserted
+async function recordStateChanges(supabase, changes) {
+  for (let i = 0; i < changes.length; i += HISTORY_BATCH_SIZE) {
+    const { error } = await supabase.from(STATE_HISTORY_TABLE).insert(changes.slice(i, i + HISTORY_BATCH_SIZE));
+    if (error) throw new Error(`Failed to save ${STATE_HISTORY_TABLE}: ${error.message}`);
+  }
+  return changes.length;
+}
+
+module.exports = {
+  EVENT_STATES,
+  STATE_HISTORY_TABLE,
+  deriveEventState,
+  pastEventState,
+  removedEventState,
+  fetchEventStates,
+  applyEventState,
+  recordStateChanges,
+};
@@ -0,0 +1,121 @@
+// lib/event-tags.js
+// events.event_genre and events.event_tags, from the curated lists in config/genres.json:
+//
+//   {
+//     "version": 1,
+//     "genres": [
+//       { "id": "house", "name": "House", "artists": ["Honey Dijon"], "keywords": ["DEEP HOUSE"] }
+//     ],
+//     "series": [
+//       { "tag": "new-years", "keywords": ["NYE", "NOUVEL AN"], "dates": ["12-31"] }
+//     ]
+//   }
+//
+// The genre is that of the first billed act filed under a genre (headliner first), else
+// the first genre with a keyword in the event name, else in the Tixr description. Tags
+// are the recurring series the event belongs to, by keyword in its name or by date.
+// Names are compared as alias keys (lib/artists.js) on whole words, so "Piknic Électronik"
+// matches PIKNIC and "RAP" does not match "TRAPEZE".
+const fs = require('fs');
+const path = require('path');
+const { aliasKey } = require('./artists');
+
+const DEFAULT_GENRES_PATH = path.join(__dirname, '..', 'config', 'genres.json');
+
+let cachedConfig = null;
+
+// ==================== LOADING ====================
+
+/**
+ * Reads and validates the genres file. Throws on anything malformed or on an artist
+ * filed under two genres.
+ */
+function loadGenres(genresPath = process.env.GENRES_PATH || DEFAULT_GENRES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(genresPath, 'utf8'));
+  if (!Array.isArray(raw.genres)) throw new Error(`${genresPath}: "genres" must be a list`);
+
+  const ids = new Set();
+  const byArtist = new Map();
+  const genres = raw.genres.map(entry => {
+    if (!entry.id || !entry.name) throw new Error(`${genresPath}: every genre needs an id and a name`);
+    if (ids.has(entry.id)) throw new Error(`${genresPath}: duplicate genre id ${entry.id}`);
+    ids.add(entry.id);
+    const genre = { id: entry.id, name: entry.name, keywords: (entry.keywords || []).map(aliasKey).filter(Boolean) };
+    for (const artist of entry.artists || []) {
+      const key = aliasKey(artist);
+      if (byArtist.has(key)) throw new Error(`${genresPath}: artist ${artist} is filed under both ${byArtist.get(key).id} and ${genre.id}`);
+      byArtist.set(key, genre);
+    }
+    return genre;
+  });
+
+  const tags = new Set();
+  const series = (raw.series || []).map(entry => {
+    if (!entry.tag) throw new Error(`${genresPath}: every series needs a tag`);
+    if (tags.has(entry.tag)) throw new Error(`${genresPath}: duplicate series tag ${entry.tag}`);
+    tags.add(entry.tag);
+    const dates = entry.dates || [];
+    const badDate = dates.find(d => !/^\d{2}-\d{2}$/.test(d));
+    if (badDate) throw new Error(`${genresPath}: series ${entry.tag} date ${badDate} must be MM-DD`);
+    return { tag: entry.tag, keywords: (entry.keywords || []).map(aliasKey).filter(Boolean), dates };
+  });
+
+  return { version: raw.version, path: genresPath, genres, byArtist, series };
+}
+
+function getGenres() {
+  if (!cachedConfig) cachedConfig = loadGenres();
+  return cachedConfig;
+}
+
+// ==================== CLASSIFICATION ====================
+
+// Whole-word search: both sides are alias keys, padded so a keyword cannot match inside a word
+function hasKeyword(text, keywords) {
+  return keywords.some(keyword => text.includes(` ${keyword} `));
+}
+
+const wordText = (value) => ` ${aliasKey(String(value || '').replace(/<[^>]*>/g, ' '))} `;
+
+/**
+ * Genre and tags of an event: `{ genre, tags }`, genre null and tags [] when nothing
+ * matches. `artists` are the billed names, headliner first; `date` is the YYYY-MM-DD
+ * event date.
+ */
+function classifyEvent({ name, description, artists = [], date }, config = getGenres()) {
+  const nameText = wordText(name);
+  const descriptionText = wordText(description);
+
+  const headliner = artists.find(artist => config.byArtist.has(aliasKey(artist)));
+  const genre = (headliner && config.byArtist.get(aliasKey(headliner)))
+    || config.genres.find(g => hasKeyword(nameText, g.keywords))
+    || config.genres.find(g => hasKeyword(descriptionText, g.keywords))
+    || null;
+
+  const monthDay = date ? String(date).slice(5, 10) : null;
+  const tags = config.series
+    .filter(s => hasKeyword(nameText, s.keywords) || (monthDay && s.dates.includes(monthDay)))
+    .map(s => s.tag);
+
+  return { genre: genre ? genre.name : null, tags };
+}
+
+/**
+ * event_genre / event_tags of a Tixr event, given its Montreal date and billed names.
+ */
+function classifyTixrEvent(tixrEvent, { date, artists }) {
+  return classifyEvent({
+    name: tixrEvent.name,
+    description: tixrEvent.description || tixrEvent.short_description,
+    artists,
+    date,
+  });
+}
+
+module.exports = {
+  DEFAULT_GENRES_PATH,
+  loadGenres,
+  getGenres,
+  classifyEvent,
+  classifyTixrEvent,
+};
@@ -0,0 +1,144 @@
+// lib/festival-days.js
+// Per-day sales and attendance of multi-day events (events.event_end_date after
+// event_date), one events_sales_days row per event day. A ticket admits the days its
+// name names ("Samedi", "Saturday Pass", "Day 2", "Jour 2"); a ticket naming no day is a
+// pass for every day, and its price is split evenly across them. Only the tickets
+// events_sales counts (the aggregate buckets of the classification rules) are included.
+//
+// Sales columns are rebuilt with events_sales; attendance_scanned, the distinct tickets
+// checked in on each business day (lib/dates.js), is filled separately from the Tixr
+// attendance history by `node festival-days.js attendance`.
+const { getClassificationRules } = require('./classification');
+const { soldUnits } = require('./orders');
+const { aliasKey } = require('./artists');
+const { eventDays, businessDay } = require('./dates');
+
+const FESTIVAL_DAYS_TABLE = 'events_sales_days';
+const CHECK_IN_ACTIONS = ['CHECKED_IN', 'REENTERED'];
+
+// By getUTCDay(): English and French names, and the usual English abbreviations
+const WEEKDAY_NAMES = [
+  ['SUNDAY', 'DIMANCHE', 'SUN'],
+  ['MONDAY', 'LUNDI', 'MON'],
+  ['TUESDAY', 'MARDI', 'TUE'],
+  ['WEDNESDAY', 'MERCREDI', 'WED'],
+  ['THURSDAY', 'JEUDI', 'THU'],
+  ['FRIDAY', 'VENDREDI', 'FRI'],
+  ['SATURDAY', 'SAMEDI', 'SAT'],
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+function weekday(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * The event days (of `days`) a ticket name admits: the days it names, or every day when
+ * it names none.
+ */
+function ticketDays(name, days) {
+  const text = ` ${aliasKey(name)} `;
+  const named = days.filter((day, index) => {
+    const words = [...WEEKDAY_NAMES[weekday(day)], `DAY ${index + 1}`, `JOUR ${index + 1}`];
+    return words.some(word => text.includes(` ${word} `));
+  });
+  return named.length > 0 ? named : days;
+}
+
+/**
+ * events_sales_days sales columns of an event ({ event_id, event_date, event_end_date })
+ * from the order lines and tickets lib/sales.js fetches, counted per order like
+ * events_sales (lib/orders.js soldUnits). Empty for a single-day event.
+ */
+function buildFestivalDays(event, { orders, tickets }, ruleset = getClassificationRules()) {
+  const days = eventDays(event.event_date, event.event_end_date);
+  if (days.length < 2) return [];
+
+  const counted = new Set(Object.values(ruleset.aggregates).flat());
+  const byDay = new Map(days.map((day, index) => [day, {
+    event_id: event.event_id,
+    event_day: day,
+    day_index: index + 1,
+    tickets_day: 0,
+    tickets_pass: 0,
+    tickets_total: 0,
+    gross_allocated: 0,
+  }]));
+
+  for (const unit of soldUnits(orders, tickets, ruleset)) {
+    if (!counted.has(unit.category)) continue;
+
+    const admitted = ticketDays(unit.name, days);
+    for (const day of admitted) {
+      const row = byDay.get(day);
+      if (admitted.length === 1) row.tickets_day += unit.quantity;
+      else row.tickets_pass += unit.quantity;
+      row.tickets_total += unit.quantity;
+      row.gross_allocated += ((unit.unitPrice || 0) * unit.quantity) / admitted.length;
+    }
+  }
+
+  const updatedAt = new Date().toISOString();
+  return Array.from(byDay.values(), row => ({ ...row, gross_allocated: roundCents(row.gross_allocated), sales_days_updated: updatedAt }));
+}
+
+// Drops the rows of days the event no longer has (all of them when it is single-day again)
+async function deleteOtherDays(supabase, eventId, days) {
+  let query = supabase.from(FESTIVAL_DAYS_TABLE).delete().eq('event_id', eventId);
+  if (days.length > 0) query = query.not('event_day', 'in', `(${days.join(',')})`);
+  const { error } = await query;
+  if (error) throw new Error(`Failed to clear ${FESTIVAL_DAYS_TABLE} of event ${eventId}: ${error.message}`);
+}
+
+/**
+ * Writes the sales columns of the event's days, keeping their attendance.
+ */
+async function saveFestivalDays(supabase, eventId, rows) {
+  await deleteOtherDays(supabase, eventId, rows.map(r => r.event_day));
+  if (rows.length === 0) return;
+  const { error } = await supabase.from(FESTIVAL_DAYS_TABLE).upsert(rows, { onConflict: 'event_id, event_day' });
+  if (error) throw new Error(`Failed to save ${FESTIVAL_DAYS_TABLE} of event ${eventId}: ${error.message}`);
+}
+
+/**
+ * Business days (among `days`) a ticket was checked in on, from its Tixr attendance
+ * history.
+ */
+function checkInDays(transactions, days, timeZone) {
+  const checkedIn = new Set();
+  for (const transaction of transactions) {
+    if (!CHECK_IN_ACTIONS.includes(transaction.action) || !transaction.date) continue;
+    const day = businessDay(transaction.date, timeZone);
+    if (days.includes(day)) checkedIn.add(day);
+  }
+  return checkedIn;
+}
+
+/**
+ * Writes attendance_scanned per day (`counts`: day -> distinct tickets checked in),
+ * keeping the sales columns.
+ */
+async function saveDailyAttendance(supabase, event, counts) {
+  const days = eventDays(event.event_date, event.event_end_date);
+  const updatedAt = new Date().toISOString();
+  const rows = days.map((day, index) => ({
+    event_id: event.event_id,
+    event_day: day,
+    day_index: index + 1,
+    attendance_scanned: counts.get(day) || 0,
+    attendance_updated: updatedAt,
+  }));
+  const { error } = await supabase.from(FESTIVAL_DAYS_TABLE).upsert(rows, { onConflict: 'event_id, event_day' });
+  if (error) throw new Error(`Failed to save attendance of event ${event.event_id}: ${error.message}`);
+}
+
+module.exports = {
+  FESTIVAL_DAYS_TABLE,
+  ticketDays,
+  buildFestivalDays,
+  saveFestivalDays,
+  checkInDays,
+  saveDailyAttendance,
+};
@@ -0,0 +1,87 @@
+// lib/forecast.js
+// Projects where a LIVE event will end up from how past events sold (events_sales_daily,
+// lib/pacing.js). For every past event, f(d) is the share of its final tickets sold d
+// days before the show; an event with `current` tickets D days out is projected to
+// current / f(D) by each past event. The median of those projections is the forecast
+// and the 10th-90th percentiles its band. The sell-out day follows the median curve.
+const { cumulativeAt } = require('./pacing');
+const { addDays, daysBetween } = require('./dates');
+
+const FORECAST_TABLE = 'events_forecast';
+// Past events that sold fewer tickets than this say little about a curve's shape
+const MIN_FINAL_TICKETS = 20;
+const BAND = [0.1, 0.9];
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const low = Math.floor(index);
+  const high = Math.ceil(index);
+  return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+}
+
+/**
+ * Sales curves of past events as { final, fractionAt(d) }, skipping the ones too small
+ * to be meaningful. `seriesList` holds daily rows of one category, by date.
+ */
+function pastCurves(seriesList) {
+  return seriesList
+    .filter(series => series.length > 0)
+    .map(series => ({ final: series[series.length - 1].sales_cumulative_tickets, series }))
+    .filter(curve => curve.final >= MIN_FINAL_TICKETS)
+    .map(({ final, series }) => ({ final, fractionAt: d => cumulativeAt(series, d) / final }));
+}
+
+/**
+ * Forecast for one category of one event:
+ *   { eventDate, today, current, capacity }  with `today` as 'YYYY-MM-DD' in the event's time zone
+ *   curves                                   from pastCurves()
+ * Returns null when no past event can be used.
+ */
+function forecastSales({ eventDate, today, current, capacity = null }, curves) {
+  if (curves.length === 0) return null;
+  const daysLeft = Math.max(daysBetween(today, eventDate), 0);
+
+  // Nothing sold yet: the past finals themselves are the best guess
+  const usable = current > 0 ? curves.filter(c => c.fractionAt(daysLeft) > 0) : curves;
+  if (usable.length === 0) return null;
+  const projections = usable.map(c => (current > 0 ? current / c.fractionAt(daysLeft) : c.final));
+
+  const forecast = {
+    days_before: daysLeft,
+    current_tickets: current,
+    projected_tickets: Math.round(percentile(projections, 0.5)),
+    projected_low: Math.round(percentile(projections, BAND[0])),
+    projected_high: Math.round(percentile(projections, BAND[1])),
+    sample_size: usable.length,
+    capacity,
+    sellout_date: null,
+    sellout_probability: null,
+  };
+  if (!capacity) return forecast;
+
+  forecast.sellout_probability = Math.round(projections.filter(p => p >= capacity).length / projections.length * 100) / 100;
+  if (current >= capacity) {
+    forecast.sellout_date = today;
+  } else if (current > 0) {
+    // Walk the median curve, scaled to where the event is today, towards show day
+    const medianAt = d => percentile(usable.map(c => c.fractionAt(d)), 0.5);
+    const base = medianAt(daysLeft);
+    for (let d = daysLeft - 1; d >= 0 && base > 0; d--) {
+      if (current * medianAt(d) / base >= capacity) {
+        forecast.sellout_date = addDays(eventDate, -d);
+        break;
+      }
+    }
+  }
+  return forecast;
+}
+
+module.exports = {
+  FORECAST_TABLE,
+  MIN_FINAL_TICKETS,
+  percentile,
+  pastCurves,
+  forecastSales,
+};
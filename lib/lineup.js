@@ -0,0 +1,133 @@
+// lib/lineup.js
+// Every billed act of an event, from the Tixr `lineups[].acts[]`, in events_lineup (one
+// row per lineup and act). Acts carry a stable `artist_key`: "tixr:<artist id>" when
+// Tixr gives one, else "name:<normalized name>", so an artist can be followed across
+// events whatever the billing. The same acts, grouped by stage and ordered by set time,
+// are what goes in events.timetable.
+const { normalizeText } = require('./classification');
+
+const LINEUP_TABLE = 'events_lineup';
+
+// Tixr has sent set times under several names; the first one present wins
+const SET_START_FIELDS = ['start_time', 'start_date', 'set_time', 'start'];
+const SET_END_FIELDS = ['end_time', 'end_date', 'end'];
+
+function firstTimestamp(source, fields) {
+  const field = fields.find(f => source[f] !== undefined && source[f] !== null && source[f] !== '');
+  if (!field) return null;
+  const date = new Date(source[field]);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function artistKey(artist) {
+  if (artist.id !== undefined && artist.id !== null) return `tixr:${artist.id}`;
+  return `name:${normalizeText(artist.name).replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+// Acts of a lineup by rank (unranked last), without reordering the Tixr payload
+function rankedActs(lineup) {
+  return [...(lineup.acts || [])].sort((a, b) => (a.rank || 999) - (b.rank || 999));
+}
+
+/**
+ * events_lineup rows of a Tixr event. Returns null when the payload has no `lineups`,
+ * so callers do not mistake it for "the lineup was emptied".
+ */
+function extractLineup(tixrEvent) {
+  if (!Array.isArray(tixrEvent.lineups)) return null;
+  const eventId = parseInt(tixrEvent.id);
+  const rows = [];
+
+  tixrEvent.lineups.forEach((lineup, lineupIndex) => {
+    const stage = lineup.stage?.name || (typeof lineup.stage === 'string' ? lineup.stage : null) || lineup.name || null;
+    rankedActs(lineup).forEach((act, actIndex) => {
+      const name = act.artist?.name?.trim() || act.name?.trim();
+      if (!name) return;
+      rows.push({
+        event_id: eventId,
+        lineup_index: lineupIndex,
+        act_index: actIndex,
+        lineup_name: lineup.name || null,
+        stage,
+        artist_key: artistKey({ id: act.artist?.id, name }),
+        artist_tixr_id: act.artist?.id ?? null,
+        artist_name: name,
+        act_rank: act.rank ?? null,
+        set_start: firstTimestamp(act, SET_START_FIELDS),
+        set_end: firstTimestamp(act, SET_END_FIELDS),
+        is_headliner: false,
+      });
+    });
+  });
+
+  // Headliner: the best-ranked act of the first lineup that has one
+  if (rows.length > 0) rows[0].is_headliner = true;
+  return rows;
+}
+
+/**
+ * events.timetable: `[{ stage, acts: [{ artist, artist_key, start, end }] }]`, stages in
+ * lineup order and acts by set time (acts without one keep their rank order, last).
+ * Null when there is no lineup.
+ */
+function buildTimetable(rows) {
+  if (!rows || rows.length === 0) return null;
+  const stages = new Map();
+  for (const row of rows) {
+    const stage = row.stage || 'Main';
+    if (!stages.has(stage)) stages.set(stage, []);
+    stages.get(stage).push(row);
+  }
+  return Array.from(stages, ([stage, acts]) => ({
+    stage,
+    acts: [...acts]
+      .sort((a, b) => (a.set_start && b.set_start ? a.set_start.localeCompare(b.set_start) : a.set_start ? -1 : b.set_start ? 1 : 0))
+      .map(act => ({ artist: act.artist_name, artist_key: act.artist_key, start: act.set_start, end: act.set_end })),
+  }));
+}
+
+/**
+ * Writes the event's lineup rows on their (lineup_index, act_index) key, then drops the
+ * acts the lineup no longer has. An act keeps its artist_id while its artist_key does not
+ * change, so re-saving a lineup does not undo the artist links.
+ */
+async function saveEventLineup(supabase, eventId, rows) {
+  const { data: existing, error: readError } = await supabase
+    .from(LINEUP_TABLE)
+    .select('lineup_index, act_index, artist_key, artist_id')
+    .eq('event_id', eventId);
+  if (readError) throw new Error(`Failed to read lineup of event ${eventId}: ${readError.message}`);
+
+  const actKey = (row) => `${row.lineup_index}|${row.act_index}`;
+  const previous = new Map(existing.map(row => [actKey(row), row]));
+  if (rows.length > 0) {
+    const linked = rows.map(row => {
+      const before = previous.get(actKey(row));
+      return { ...row, artist_id: before?.artist_key === row.artist_key ? before.artist_id : null };
+    });
+    const { error } = await supabase.from(LINEUP_TABLE).upsert(linked, { onConflict: 'event_id, lineup_index, act_index' });
+    if (error) throw new Error(`Failed to save lineup of event ${eventId}: ${error.message}`);
+  }
+
+  const kept = new Set(rows.map(actKey));
+  const staleByLineup = new Map();
+  for (const row of existing) {
+    if (kept.has(actKey(row))) continue;
+    if (!staleByLineup.has(row.lineup_index)) staleByLineup.set(row.lineup_index, []);
+    staleByLineup.get(row.lineup_index).push(row.act_index);
+  }
+  for (const [lineupIndex, actIndexes] of staleByLineup) {
+    const { error } = await supabase.from(LINEUP_TABLE).delete()
+      .eq('event_id', eventId).eq('lineup_index', lineupIndex).in('act_index', actIndexes);
+    if (error) throw new Error(`Failed to clear lineup of event ${eventId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  LINEUP_TABLE,
+  artistKey,
+  rankedActs,
+  extractLineup,
+  buildTimetable,
+  saveEventLineup,
+};
@@ -0,0 +1,235 @@
+// lib/order-sync.js
+// Order sync of a list of events: their Tixr orders since each event's watermark (or all
+// of them when a full re-download is due), then the users seen in those orders. Run by
+// sync-orders.js and by the dead-letter retry of a failed event.
+const { saveOrders, capitalize } = require('./orders');
+const { recordDeadLetter } = require('./dead-letter');
+
+const MAX_CONCURRENT_EVENTS = 10;
+const ORDER_FETCH_PAGE_SIZE = 100;
+const DB_UPSERT_BATCH_SIZE = 500;
+// Incremental runs only ask Tixr for orders newer than each event's watermark. Every
+// ORDER_FULL_SYNC_HOURS an event gets a full re-download so status changes on older
+// orders (refunds, transfers) are reconciled too.
+const ORDER_FULL_SYNC_HOURS = parseFloat(process.env.ORDER_FULL_SYNC_HOURS || '24');
+const FULL_SYNC_START_DATE = '2010-01-01';
+const EVENT_SYNC_COLUMNS = 'event_id, event_name, event_status, event_date, event_end_date, event_order_updated, event_order_watermark, event_order_watermark_id, event_order_full_sync, event_removed_at, venues(venue_timezone)';
+
+// ==================== UTILITIES ==================
+
+class Limiter {
+  constructor(maxConcurrent) { this.maxConcurrent = maxConcurrent; this.current = 0; this.queue = []; }
+  async execute(fn) {
+    while (this.current >= this.maxConcurrent) await new Promise(resolve => this.queue.push(resolve));
+    this.current++;
+    try { return await fn(); }
+    finally { this.current--; const next = this.queue.shift(); if (next) next(); }
+  }
+}
+
+class ProgressBar {
+  constructor(total) { this.total = total; this.current = 0; this.startTime = Date.now(); }
+  tick() {
+    this.current++;
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    const avgTime = elapsed / this.current;
+    const remaining = this.total - this.current;
+    const eta = Math.round(remaining * avgTime);
+    const percent = ((this.current / this.total) * 100).toFixed(1);
+    const formatTime = s => s < 60 ? `${Math.floor(s)}s` : `${Math.floor(s / 60)}m ${Math.floor(s % 60)}s`;
+    process.stdout.write(`  Syncing Events: ${this.current}/${this.total} [${percent}%] | Elapsed: ${formatTime(elapsed)} | ETA: ${formatTime(eta)}\r`);
+  }
+}
+
+// ==================== WATERMARKS ====================
+
+function needsFullSync(event, forceFull) {
+  if (forceFull || !event.event_order_watermark || !event.event_order_full_sync) return true;
+  // A PAST event is on its last sync; make it a complete one.
+  if (event.event_status === 'PAST') return true;
+  const hoursSinceFull = (Date.now() - new Date(event.event_order_full_sync).getTime()) / 3600000;
+  return hoursSinceFull >= ORDER_FULL_SYNC_HOURS;
+}
+
+// Tixr's start_date filter is a whole UTC day, so step back one day from the
+// watermark and drop what we have already seen afterwards.
+function watermarkStartDate(watermark) {
+  const date = new Date(watermark);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function isAfterWatermark(order, watermarkTime, watermarkOrderId) {
+  const purchaseTime = new Date(order.purchase_date).getTime();
+  if (purchaseTime !== watermarkTime) return purchaseTime > watermarkTime;
+  return String(order.order_id) !== String(watermarkOrderId);
+}
+
+function latestOrder(orders) {
+  return orders.reduce((latest, order) => {
+    if (!latest) return order;
+    return new Date(order.purchase_date).getTime() > new Date(latest.purchase_date).getTime() ? order : latest;
+  }, null);
+}
+
+// ==================== DATABASE OPERATIONS ====================
+
+// A failed batch goes to the dead letters and the remaining batches are still written
+async function saveBatchToDB(supabase, table, data, onConflict) {
+  let ok = true;
+  for (let i = 0; i < data.length; i += DB_UPSERT_BATCH_SIZE) {
+    const batch = data.slice(i, i + DB_UPSERT_BATCH_SIZE);
+    const { error } = await supabase.from(table).upsert(batch, { onConflict });
+    if (error) {
+      console.error(`\n  - Error saving batch to ${table}:`, error.message);
+      await recordDeadLetter(supabase, { source: 'sync-orders', kind: 'db_batch', ref: table, payload: { table, rows: batch, onConflict }, error });
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// ==================== CORE SYNC LOGIC ====================
+
+// Transient errors are retried inside the client. Anything that still fails is
+// thrown: returning [] here would look like "this event has no orders".
+async function syncEventData(supabase, tixr, event, { forceFull = false, stats } = {}) {
+  const isFull = needsFullSync(event, forceFull);
+  let rawOrders;
+
+  if (isFull) {
+    rawOrders = await tixr.getEventOrders(event.event_id, { start_date: FULL_SYNC_START_DATE }, { pageSize: ORDER_FETCH_PAGE_SIZE });
+    stats.full++;
+  } else {
+    const watermarkTime = new Date(event.event_order_watermark).getTime();
+    const fetched = await tixr.getEventOrders(event.event_id, { start_date: watermarkStartDate(event.event_order_watermark) }, { pageSize: ORDER_FETCH_PAGE_SIZE });
+    rawOrders = fetched.filter(order => isAfterWatermark(order, watermarkTime, event.event_order_watermark_id));
+    stats.incremental++;
+  }
+  stats.orders += rawOrders.length;
+
+  // Also soft-deletes line items that vanished from an order (partial refunds)
+  const { tickets, removed } = await saveOrders(supabase, rawOrders);
+  stats.tickets += tickets;
+  stats.removed += removed;
+
+  const userOrderMap = new Map();
+  for (const order of rawOrders) {
+    if (order.user_id) {
+      const userIdStr = order.user_id.toString();
+      if (!userOrderMap.has(userIdStr) || order.purchase_date > userOrderMap.get(userIdStr).purchase_date) {
+        userOrderMap.set(userIdStr, order);
+      }
+    }
+  }
+
+  const now = new Date().toISOString();
+  const eventUpdate = { event_order_updated: now };
+  const newest = latestOrder(rawOrders);
+  if (newest && (!event.event_order_watermark || new Date(newest.purchase_date) > new Date(event.event_order_watermark))) {
+    eventUpdate.event_order_watermark = new Date(newest.purchase_date).toISOString();
+    eventUpdate.event_order_watermark_id = String(newest.order_id);
+  }
+  if (isFull) eventUpdate.event_order_full_sync = now;
+
+  await supabase.from('events').update(eventUpdate).eq('event_id', event.event_id);
+  return userOrderMap;
+}
+
+/**
+ * Syncs the orders of the given events rows (selected with EVENT_SYNC_COLUMNS), then
+ * the users seen in them. Events that fail are recorded as dead letters unless
+ * `recordFailures` is false (used by the dead-letter retry, which keeps its own entry).
+ * Returns `{ failedEvents, stats }`.
+ */
+async function syncEvents(supabase, tixr, eventsToProcess, { forceFull = false, recordFailures = true } = {}) {
+  const startTime = Date.now();
+  const eventLimiter = new Limiter(MAX_CONCURRENT_EVENTS);
+  const progressBar = new ProgressBar(eventsToProcess.length);
+  const failedEvents = [];
+  const stats = { full: 0, incremental: 0, orders: 0, tickets: 0, removed: 0 };
+  const allUserMaps = await Promise.all(eventsToProcess.map(event =>
+    eventLimiter.execute(async () => {
+      try {
+        return await syncEventData(supabase, tixr, event, { forceFull, stats });
+      } catch (err) {
+        // Leave event_order_updated untouched so the event is picked up again next run
+        console.error(`\n  - ❌ Skipping event ${event.event_id} (${event.event_name}): ${err.message}`);
+        failedEvents.push(event);
+        if (recordFailures) {
+          await recordDeadLetter(supabase, {
+            source: 'sync-orders', kind: 'order_sync_event', ref: event.event_id,
+            payload: { event_name: event.event_name }, error: err, attempts: err.attempts || 1,
+          });
+        }
+        return new Map();
+      } finally {
+        progressBar.tick();
+      }
+    })
+  ));
+
+  console.log('\n\n- All event orders synced. Now consolidating and saving user data...');
+
+  const masterUserOrderMap = new Map();
+  for (const userMap of allUserMaps) {
+    for (const [userId, order] of userMap.entries()) {
+      if (!masterUserOrderMap.has(userId) || order.purchase_date > masterUserOrderMap.get(userId).purchase_date) {
+        masterUserOrderMap.set(userId, order);
+      }
+    }
+  }
+
+  const userIdsInSync = Array.from(masterUserOrderMap.keys());
+  const { data: existingUsers } = await supabase.from('events_users').select('user_id, event_ids').in('user_id', userIdsInSync);
+  const existingUserEventMap = new Map((existingUsers || []).map(u => [u.user_id.toString(), u.event_ids || []]));
+
+  const usersToUpsert = Array.from(masterUserOrderMap.values()).map(order => {
+    const userIdStr = order.user_id.toString();
+    const geoInfo = order.geo_info;
+
+    const allAttendedEventsForUser = allUserMaps.flatMap(userMap =>
+      Array.from(userMap.values())
+        .filter(o => o.user_id.toString() === userIdStr)
+        .map(o => o.event_id)
+    ).filter(Boolean);
+
+    const existingEvents = existingUserEventMap.get(userIdStr) || [];
+    const updatedEvents = Array.from(new Set([...existingEvents, ...allAttendedEventsForUser]));
+
+    // This object ONLY updates the information we get directly from the order.
+    // It will NOT overwrite fields managed by enrich-users.js (like age, gender, total_spend).
+    return {
+      user_id: userIdStr,
+      user_first_name: capitalize(order.first_name),
+      user_last_name: capitalize(order.lastname),
+      user_mail: order.email,
+      user_city: geoInfo?.city,
+      user_state: geoInfo?.state,
+      user_country: geoInfo?.country_code,
+      user_postal: geoInfo?.postal_code,
+      event_ids: updatedEvents,
+      // ** IMPORTANT CHANGE **
+      // Update the last purchase date. This is the trigger for the enrichment script.
+      user_last_purchase: new Date(order.purchase_date).toISOString(),
+    };
+  });
+
+  console.log(`- Saving/updating ${usersToUpsert.length} user profiles to the database...`);
+  await saveBatchToDB(supabase, 'events_users', usersToUpsert, 'user_id');
+
+  const duration = (Date.now() - startTime) / 1000;
+  console.log(`\n✨ Sync complete! ✨`);
+  console.log(`- ${eventsToProcess.length} events processed in ${duration.toFixed(1)}s.`);
+  console.log(`- ${stats.full} full, ${stats.incremental} incremental; ${stats.orders} orders (${stats.tickets} tickets) written, ${stats.removed} removed line items flagged.`);
+
+  if (failedEvents.length > 0) {
+    console.error(`- ⚠️  ${failedEvents.length} event(s) failed and will be retried next run: ${failedEvents.map(e => e.event_id).join(', ')}`);
+  }
+  return { failedEvents, stats };
+}
+
+module.exports = {
+  EVENT_SYNC_COLUMNS,
+  syncEvents,
+};
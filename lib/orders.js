@@ -0,0 +1,428 @@
+// lib/orders.js
+// Turns Tixr orders into events_orders (per sale item) and events_tickets (per ticket)
+// rows and writes them. Shared by sync-orders.js and the order webhook so both
+// pipelines store exactly the same thing.
+const { getClassificationRules, classify, classifyOrderRow } = require('./classification');
+
+const DB_UPSERT_BATCH_SIZE = 500;
+const ORDER_CONFLICT_KEY = 'order_id, order_sale_id';
+const TICKET_CONFLICT_KEY = 'order_id, order_sale_id, ticket_index';
+
+function capitalize(str) {
+  if (typeof str !== 'string' || !str) return str;
+  return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+}
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// ==================== REFUNDS ====================
+
+/**
+ * Reads refund / chargeback information off a Tixr order. Tixr reports it either as
+ * a `refunds` list or as flat fields depending on the endpoint, so both are accepted.
+ * A fully refunded order without an explicit amount is considered refunded in full.
+ */
+function extractRefundInfo(order) {
+  const status = (order.status || '').toUpperCase();
+  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+
+  let amount = refunds.reduce((sum, r) => sum + toNumber(r.amount ?? r.total), 0);
+  if (amount === 0) amount = toNumber(order.refunded_amount ?? order.refund_amount ?? order.total_refunded);
+
+  const dates = [
+    ...refunds.map(r => r.date ?? r.refund_date ?? r.created_date),
+    order.refund_date,
+    order.refunded_date,
+  ].filter(Boolean).map(d => new Date(d).getTime()).filter(Number.isFinite);
+
+  let type = null;
+  if (status.includes('CHARGEBACK') || order.chargeback === true) type = 'CHARGEBACK';
+  else if (status.includes('PARTIAL') && status.includes('REFUND')) type = 'PARTIAL_REFUND';
+  else if (status.includes('REFUND')) type = 'REFUND';
+  else if (amount > 0) type = 'PARTIAL_REFUND';
+
+  if ((type === 'REFUND' || type === 'CHARGEBACK') && amount === 0) amount = toNumber(order.gross_sales);
+
+  return {
+    order_refund_type: type,
+    order_refund_amount: type ? amount : 0,
+    order_refund_date: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+  };
+}
+
+/**
+ * Total refunded for a set of events_orders rows. The refund amount is an order-level
+ * figure repeated on each of its lines, so every order is counted once.
+ */
+function sumRefunds(rows) {
+  const byOrder = new Map();
+  for (const row of rows || []) byOrder.set(row.order_id, toNumber(row.order_refund_amount));
+  return Array.from(byOrder.values()).reduce((sum, amount) => sum + amount, 0);
+}
+
+// ==================== LINE AMOUNTS ====================
+
+// Tixr has used several names for the order-level amounts; the first one present wins.
+// Each amount is stored per line as `order_line_<name>` and summed into events_sales.
+const ORDER_AMOUNT_FIELDS = {
+  gross: ['gross_sales'],
+  net: ['net'],
+  fees: ['total_fees', 'fees', 'service_charges'],
+  taxes: ['total_tax', 'taxes', 'tax'],
+  service_fees: ['service_fee', 'service_fees', 'service_charge'],
+  facility_fees: ['facility_fee', 'facility_fees'],
+  processing_fees: ['processing_fee', 'processing_fees', 'payment_processing_fee'],
+  gst: ['gst', 'tps', 'hst'],
+  qst: ['qst', 'tvq'],
+  discounts: ['total_discount', 'discount', 'discounts', 'discount_amount'],
+};
+
+// When fees / taxes come as lists of `{ name, amount }`, entries are sorted by name (FR/EN)
+const FEE_KINDS = [
+  ['service_fees', /SERVICE/],
+  ['facility_fees', /FACILIT|INSTALLATION/],
+  ['processing_fees', /PROCESS|PAYMENT|PAIEMENT|TRAITEMENT|CARD|CARTE/],
+];
+const TAX_KINDS = [
+  ['gst', /GST|TPS|HST|TVH/],
+  ['qst', /QST|TVQ/],
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+function firstAmount(source, fields) {
+  const field = fields.find(f => source[f] !== undefined && source[f] !== null && source[f] !== '' && !Array.isArray(source[f]));
+  return field ? toNumber(source[field]) : null;
+}
+
+// Adds a `[{ name, amount }]` list into `amounts`, by kind, and returns the list total
+function addListedAmounts(amounts, list, kinds) {
+  let total = 0;
+  for (const entry of list) {
+    const amount = toNumber(entry.amount ?? entry.total ?? entry.value);
+    const name = String(entry.name || entry.type || '').toUpperCase();
+    const kind = kinds.find(([, pattern]) => pattern.test(name));
+    if (kind) amounts[kind[0]] += amount;
+    total += amount;
+  }
+  return total;
+}
+
+function extractOrderAmounts(order) {
+  const amounts = {};
+  for (const [name, fields] of Object.entries(ORDER_AMOUNT_FIELDS)) amounts[name] = firstAmount(order, fields);
+
+  const listed = { service_fees: 0, facility_fees: 0, processing_fees: 0, gst: 0, qst: 0 };
+  const listedFees = Array.isArray(order.fees) ? addListedAmounts(listed, order.fees, FEE_KINDS) : null;
+  const listedTaxes = Array.isArray(order.taxes) ? addListedAmounts(listed, order.taxes, TAX_KINDS) : null;
+  for (const [name, amount] of Object.entries(listed)) {
+    if (amounts[name] === null && amount !== 0) amounts[name] = amount;
+  }
+
+  // Totals: explicit field, else the list, else the sum of the known parts
+  if (amounts.fees === null) amounts.fees = listedFees ?? (amounts.service_fees || 0) + (amounts.facility_fees || 0) + (amounts.processing_fees || 0);
+  if (amounts.taxes === null) amounts.taxes = listedTaxes ?? (amounts.gst || 0) + (amounts.qst || 0);
+  for (const name of Object.keys(amounts)) amounts[name] = amounts[name] || 0;
+  // Stored as a positive amount whichever sign Tixr used
+  amounts.discounts = Math.abs(amounts.discounts);
+  return amounts;
+}
+
+// Sale item total as sent by Tixr, or price x quantity; null when neither is there
+function itemTotal(item) {
+  if (item.total !== undefined && item.total !== null) return toNumber(item.total);
+  if (item.price !== undefined && item.price !== null) return toNumber(item.price) * (item.quantity || 0);
+  return null;
+}
+
+// Item totals when every item has one, quantities otherwise, equal shares as a last resort
+function allocationWeights(items) {
+  const totals = items.map(itemTotal);
+  if (totals.every(t => t !== null) && sum(totals) > 0) return totals;
+  const quantities = items.map(item => item.quantity || 0);
+  if (sum(quantities) > 0) return quantities;
+  return items.map(() => 1);
+}
+
+/**
+ * Splits `amount` by `weights`, in cents. The rounding remainder goes to the last line
+ * with a weight so the lines always add up to the order total.
+ */
+function allocateAmount(amount, weights) {
+  const totalWeight = sum(weights);
+  const shares = weights.map(w => roundCents(amount * w / totalWeight));
+  const last = weights.map(w => w > 0).lastIndexOf(true);
+  shares[last] = roundCents(shares[last] + amount - sum(shares));
+  return shares;
+}
+
+/**
+ * The order's gross, net, fees and taxes split over its sale items, one
+ * `{ gross, net, fees, taxes }` per item in `order.sale_items` order.
+ */
+function allocateOrderAmounts(order) {
+  const items = order.sale_items || [];
+  if (items.length === 0) return [];
+  const weights = allocationWeights(items);
+  const amounts = extractOrderAmounts(order);
+
+  const shares = {};
+  for (const [name, amount] of Object.entries(amounts)) shares[name] = allocateAmount(amount, weights);
+  return items.map((item, index) => {
+    const line = {};
+    for (const name of Object.keys(amounts)) line[name] = shares[name][index];
+    return line;
+  });
+}
+
+/**
+ * Sums the allocated line amounts (`lineColumn`). Lines written before allocation
+ * existed only carry the order-level gross/net (`orderColumn`), repeated on every line,
+ * so for those the order is counted once; other amounts count as 0 until resynced.
+ */
+function sumOrderAmounts(orders, lineColumn, orderColumn) {
+  let total = 0;
+  const unallocated = new Map();
+  for (const order of orders) {
+    if (order[lineColumn] !== null && order[lineColumn] !== undefined) total += order[lineColumn];
+    else if (orderColumn) unallocated.set(order.order_id, order[orderColumn] || 0);
+  }
+  for (const value of unallocated.values()) total += value;
+  return roundCents(total);
+}
+
+// Promo / discount code typed at checkout, uppercased; null when none was used
+function extractPromoCode(order) {
+  const code = order.promo_code ?? order.discount_code ?? order.coupon_code ?? order.promo?.code ?? null;
+  return code ? String(code).trim().toUpperCase() || null : null;
+}
+
+// { gross, net, ... } -> { order_line_gross, order_line_net, ... }
+function lineAmountColumns(line) {
+  const columns = {};
+  for (const [name, amount] of Object.entries(line)) columns[`order_line_${name}`] = amount;
+  return columns;
+}
+
+// ==================== TRANSFORM ====================
+
+/**
+ * One events_orders row per sale item. Rows are written with `order_removed_at: null`
+ * so an item that comes back after being removed is restored, and stamped with their
+ * reporting category and the version of the rules that produced it. `order_gross` and
+ * `order_net` stay order-level; the `order_line_*` columns hold this item's share, and
+ * the item is classified on its share so a comp line inside a paid order stays a comp.
+ */
+function transformOrderForDB(order) {
+  const refund = extractRefundInfo(order);
+  const ruleset = getClassificationRules();
+  const lines = allocateOrderAmounts(order);
+
+  return (order.sale_items || []).map((item, index) => ({
+    order_id: order.order_id, event_id: order.event_id, order_sale_id: item.sale_id,
+    order_status: order.status, order_tier_id: item.tier_id, order_user_id: order.user_id,
+    order_name: `${capitalize(order.first_name) || ''} ${capitalize(order.lastname) || ''}`.trim(),
+    order_sales_item_name: item.name, order_category: item.category, order_quantity: item.quantity,
+    order_purchase_date: new Date(order.purchase_date).toISOString(), order_gross: order.gross_sales,
+    order_net: order.net, order_user_agent: order.user_agent_type, order_card_type: order.card_type,
+    order_ref: order.ref_id, order_ref_type: order.ref_type, order_promo_code: extractPromoCode(order),
+    order_serials: item.tickets?.map(t => t.serial_number).join(',') || null,
+    ...lineAmountColumns(lines[index]),
+    ...refund,
+    order_reporting_category: classify({ name: item.name, category: item.category, refType: order.ref_type, gross: lines[index].gross }, ruleset),
+    order_classifier_version: ruleset.version,
+    order_removed_at: null,
+  }));
+}
+
+/**
+ * One events_tickets row per ticket. A bundle ("Paquet x4") is one sale item carrying
+ * several tickets, so the item total is split over its tickets rather than its quantity;
+ * items without a ticket list get `quantity` anonymous tickets. Items Tixr sends without
+ * a total are priced from their allocated share of the order gross.
+ */
+function transformOrderToTickets(order) {
+  const ruleset = getClassificationRules();
+  const purchaseDate = new Date(order.purchase_date).toISOString();
+  const lines = allocateOrderAmounts(order);
+
+  return (order.sale_items || []).flatMap((item, itemIndex) => {
+    const tickets = item.tickets?.length > 0 ? item.tickets : Array.from({ length: item.quantity || 0 }, () => ({}));
+    const total = itemTotal(item) ?? lines[itemIndex].gross;
+    const unitPrice = tickets.length === 0 ? null : total / tickets.length;
+    const category = classify({ name: item.name, category: item.category, refType: order.ref_type, gross: unitPrice }, ruleset);
+
+    return tickets.map((ticket, index) => ({
+      order_id: order.order_id, order_sale_id: item.sale_id, ticket_index: index, event_id: order.event_id,
+      ticket_serial: ticket.serial_number || null, ticket_status: ticket.status || null,
+      ticket_tier_id: item.tier_id, ticket_name: item.name, ticket_category: item.category,
+      ticket_ref_type: order.ref_type, ticket_unit_price: unitPrice, ticket_order_status: order.status,
+      ticket_purchase_date: purchaseDate,
+      ticket_reporting_category: category, ticket_classifier_version: ruleset.version,
+      ticket_removed_at: null,
+    }));
+  });
+}
+
+/**
+ * events_tickets rows rebuilt from a stored events_orders row, for orders synced before
+ * events_tickets existed. Mirrors transformOrderToTickets: one ticket per serial (so a
+ * bundle gets its tickets), else `order_quantity` anonymous ones, each priced at its
+ * share of the line gross. Tixr ticket statuses are not stored on the line and stay null.
+ */
+function ticketsFromOrderRow(row, ruleset = getClassificationRules()) {
+  const serials = row.order_serials ? row.order_serials.split(',').map(s => s.trim()).filter(Boolean) : [];
+  const count = serials.length > 0 ? serials.length : row.order_quantity || 0;
+  const lineGross = row.order_line_gross;
+  const unitPrice = lineGross === null || lineGross === undefined || count === 0 ? null : lineGross / count;
+  const category = classify({
+    name: row.order_sales_item_name, category: row.order_category, refType: row.order_ref_type,
+    gross: unitPrice ?? row.order_gross,
+  }, ruleset);
+
+  return Array.from({ length: count }, (_, index) => ({
+    order_id: row.order_id, order_sale_id: row.order_sale_id, ticket_index: index, event_id: row.event_id,
+    ticket_serial: serials[index] || null, ticket_status: null,
+    ticket_tier_id: row.order_tier_id, ticket_name: row.order_sales_item_name, ticket_category: row.order_category,
+    ticket_ref_type: row.order_ref_type, ticket_unit_price: unitPrice, ticket_order_status: row.order_status,
+    ticket_purchase_date: row.order_purchase_date,
+    ticket_reporting_category: category, ticket_classifier_version: ruleset.version,
+    ticket_removed_at: row.order_removed_at ?? null,
+  }));
+}
+
+/**
+ * What an event sold, as `{ category, tierId, name, unitPrice, quantity, purchaseDate }`
+ * entries: one per ticket for the orders that have events_tickets rows, with the
+ * category stored on the ticket, and one per line (its quantity) for the orders that
+ * have none yet, synced before events_tickets existed and not backfilled. Counting per
+ * order keeps an event whose tickets are only partly there from dropping to the tickets
+ * it has. Tickets saved without a price are priced from their line's allocated gross.
+ */
+function soldUnits(orders, tickets, ruleset = getClassificationRules()) {
+  const lineKey = (row) => `${row.order_id}|${row.order_sale_id}`;
+  const ticketedOrders = new Set(tickets.map(t => t.order_id));
+  const ticketsPerLine = new Map();
+  for (const ticket of tickets) ticketsPerLine.set(lineKey(ticket), (ticketsPerLine.get(lineKey(ticket)) || 0) + 1);
+  const lineGross = new Map(orders.map(order => [lineKey(order), order.order_line_gross]));
+
+  const units = tickets.map(ticket => {
+    const gross = lineGross.get(lineKey(ticket));
+    return {
+      category: ticket.ticket_reporting_category,
+      tierId: ticket.ticket_tier_id,
+      name: ticket.ticket_name,
+      unitPrice: ticket.ticket_unit_price ?? (gross === null || gross === undefined ? null : gross / ticketsPerLine.get(lineKey(ticket))),
+      quantity: 1,
+      purchaseDate: ticket.ticket_purchase_date ?? null,
+    };
+  });
+  for (const order of orders) {
+    if (ticketedOrders.has(order.order_id) || order.order_status !== 'COMPLETE') continue;
+    const quantity = order.order_quantity || 0;
+    const gross = order.order_line_gross;
+    units.push({
+      category: classifyOrderRow(order, ruleset),
+      tierId: order.order_tier_id,
+      name: order.order_sales_item_name,
+      unitPrice: gross === null || gross === undefined || quantity === 0 ? null : gross / quantity,
+      quantity,
+      purchaseDate: order.order_purchase_date ?? null,
+    });
+  }
+  return units;
+}
+
+// ==================== DATABASE ====================
+
+async function upsertInBatches(supabase, table, rows, onConflict) {
+  for (let i = 0; i < rows.length; i += DB_UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + DB_UPSERT_BATCH_SIZE);
+    const { error } = await supabase.from(table).upsert(batch, { onConflict });
+    if (error) throw new Error(`Error saving batch to ${table}: ${error.message}`);
+  }
+}
+
+// Soft-deletes rows of `orders` in `table` whose key is not in `currentKeys` any more
+async function flagRemovedRows(supabase, { table, keyColumns, removedColumn }, orders, currentKeys) {
+  const keyOf = row => keyColumns.map(column => row[column]).join(':');
+  const orderIds = orders.map(o => o.order_id);
+  const staleRows = [];
+  for (let i = 0; i < orderIds.length; i += DB_UPSERT_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(keyColumns.join(', '))
+      .in('order_id', orderIds.slice(i, i + DB_UPSERT_BATCH_SIZE))
+      .is(removedColumn, null);
+    if (error) throw new Error(`Error reading existing rows of ${table}: ${error.message}`);
+    staleRows.push(...(data || []).filter(row => !currentKeys.has(keyOf(row))));
+  }
+
+  const removedAt = new Date().toISOString();
+  for (const row of staleRows) {
+    let query = supabase.from(table).update({ [removedColumn]: removedAt });
+    for (const column of keyColumns) query = query.eq(column, row[column]);
+    const { error } = await query;
+    if (error) throw new Error(`Error flagging removed row ${keyOf(row)} of ${table}: ${error.message}`);
+  }
+  return staleRows.length;
+}
+
+/**
+ * Soft-deletes the events_orders rows of `orders` whose sale item is no longer on the
+ * Tixr order (typically after a partial refund). Returns how many rows were flagged.
+ */
+async function markRemovedItems(supabase, orders) {
+  const currentKeys = new Set();
+  for (const order of orders) {
+    for (const item of order.sale_items || []) currentKeys.add(`${order.order_id}:${item.sale_id}`);
+  }
+  return flagRemovedRows(supabase, { table: 'events_orders', keyColumns: ['order_id', 'order_sale_id'], removedColumn: 'order_removed_at' }, orders, currentKeys);
+}
+
+// Same for events_tickets: a ticket disappears when its item does or its quantity drops
+async function markRemovedTickets(supabase, orders, tickets) {
+  const currentKeys = new Set(tickets.map(t => `${t.order_id}:${t.order_sale_id}:${t.ticket_index}`));
+  return flagRemovedRows(supabase, { table: 'events_tickets', keyColumns: ['order_id', 'order_sale_id', 'ticket_index'], removedColumn: 'ticket_removed_at' }, orders, currentKeys);
+}
+
+/**
+ * Writes the given Tixr orders to events_orders (one row per sale item) and
+ * events_tickets (one row per ticket), and soft-deletes lines and tickets that
+ * disappeared from them. Throws on the first database error.
+ */
+async function saveOrders(supabase, orders) {
+  if (orders.length === 0) return { rows: 0, tickets: 0, removed: 0 };
+  const rows = orders.flatMap(transformOrderForDB);
+  const tickets = orders.flatMap(transformOrderToTickets);
+  await upsertInBatches(supabase, 'events_orders', rows, ORDER_CONFLICT_KEY);
+  await upsertInBatches(supabase, 'events_tickets', tickets, TICKET_CONFLICT_KEY);
+  const removed = await markRemovedItems(supabase, orders);
+  await markRemovedTickets(supabase, orders, tickets);
+  return { rows: rows.length, tickets: tickets.length, removed };
+}
+
+module.exports = {
+  capitalize,
+  extractRefundInfo,
+  sumRefunds,
+  extractOrderAmounts,
+  extractPromoCode,
+  allocateOrderAmounts,
+  sumOrderAmounts,
+  ORDER_AMOUNT_FIELDS,
+  transformOrderForDB,
+  transformOrderToTickets,
+  ticketsFromOrderRow,
+  soldUnits,
+  markRemovedItems,
+  markRemovedTickets,
+  saveOrders,
+  upsertInBatches,
+  ORDER_CONFLICT_KEY,
+  TICKET_CONFLICT_KEY,
+};
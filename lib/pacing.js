@@ -0,0 +1,163 @@
+// lib/pacing.js
+// How fast an event sold: its COMPLETE order lines and tickets bucketed by purchase time
+// (days in the event's time zone, lib/dates.js, plus hours during show week) and
+// reporting category, with running totals. Tickets are counted as events_sales counts
+// them, so the last cumulative ALL row matches it. The series is rebuilt from the
+// purchase dates each time, so it can be backfilled for past events; lines removed or
+// cancelled since are not in it.
+//
+// events_sales_daily   one row per event, local purchase day and category
+// events_sales_hourly  the same per purchase hour, for the last HOURLY_DAYS days before the show
+// Every bucket also has an ALL row (every category together) and a TICKETS row (the
+// categories that count toward the event capacity, `capacity` in the classification rules).
+const { getClassificationRules, classifyOrderRow } = require('./classification');
+const { sumOrderAmounts, soldUnits, upsertInBatches } = require('./orders');
+const { eventTimeZone, zonedParts, zonedTime, localDate, daysBetween } = require('./dates');
+
+const DAILY_TABLE = 'events_sales_daily';
+const HOURLY_TABLE = 'events_sales_hourly';
+const ALL_CATEGORIES = 'ALL';
+const TICKETS_CATEGORY = 'TICKETS';
+const HOURLY_DAYS = 7;
+
+// Start of the local hour of an instant in `timeZone`, so zones with half-hour offsets
+// (Newfoundland) bucket on their own clock; the hour repeated by a DST change is one bucket
+function hourStart(timestamp, timeZone) {
+  const { date, hour } = zonedParts(timestamp, timeZone);
+  return zonedTime(date, hour, timeZone).toISOString();
+}
+
+/**
+ * Groups entries into buckets keyed by `keyOf(entry)`, once under each of their
+ * `categories`, then turns each bucket into { key, category, tickets, gross, net }
+ * sorted by key, with cumulative totals per category. An entry is either an order line
+ * (`row`, for the amounts) or tickets sold (`tickets`, from soldUnits).
+ */
+function bucketize(entries, keyOf) {
+  const buckets = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    for (const category of entry.categories) {
+      const id = `${key}|${category}`;
+      if (!buckets.has(id)) buckets.set(id, { key, category, rows: [], tickets: 0 });
+      const bucket = buckets.get(id);
+      if (entry.row) bucket.rows.push(entry.row);
+      bucket.tickets += entry.tickets || 0;
+    }
+  }
+
+  const running = new Map();
+  return Array.from(buckets.values())
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ key, category, rows, tickets }) => {
+      const totals = {
+        tickets,
+        gross: sumOrderAmounts(rows, 'order_line_gross', 'order_gross'),
+        net: sumOrderAmounts(rows, 'order_line_net', 'order_net'),
+      };
+      const cumulative = running.get(category) || { tickets: 0, gross: 0, net: 0 };
+      for (const name of Object.keys(cumulative)) cumulative[name] = Math.round((cumulative[name] + totals[name]) * 100) / 100;
+      running.set(category, cumulative);
+      return { key, category, totals, cumulative: { ...cumulative } };
+    });
+}
+
+/**
+ * Daily and hourly pacing rows for `event` ({ event_id, event_date }, with its venue's
+ * time zone when selected) from the order lines and tickets lib/sales.js fetches for
+ * events_sales. Amounts come from the COMPLETE order lines; tickets are counted as
+ * events_sales counts them (soldUnits in lib/orders.js), at their purchase time.
+ */
+function buildPacing(event, { orders, tickets }, ruleset = getClassificationRules()) {
+  const timeZone = eventTimeZone(event);
+  const capacity = new Set(ruleset.capacity);
+  const entry = (purchasedAt, category, fields) => {
+    const date = localDate(purchasedAt, timeZone);
+    return {
+      ...fields,
+      categories: [category, ALL_CATEGORIES, ...(capacity.has(category) ? [TICKETS_CATEGORY] : [])],
+      purchasedAt,
+      date,
+      daysBefore: event.event_date ? daysBetween(date, event.event_date) : null,
+    };
+  };
+  const entries = [
+    ...orders
+      .filter(row => row.order_status === 'COMPLETE' && row.order_purchase_date)
+      .map(row => entry(row.order_purchase_date, row.order_reporting_category || classifyOrderRow(row, ruleset), { row })),
+    ...soldUnits(orders, tickets, ruleset)
+      .filter(unit => unit.purchaseDate)
+      .map(unit => entry(unit.purchaseDate, unit.category || ruleset.fallback, { tickets: unit.quantity })),
+  ];
+
+  const updatedAt = new Date().toISOString();
+  const daily = bucketize(entries, e => e.date).map(b => ({
+    event_id: event.event_id,
+    sales_date: b.key,
+    days_before: event.event_date ? daysBetween(b.key, event.event_date) : null,
+    sales_category: b.category,
+    sales_tickets: b.totals.tickets,
+    sales_gross: b.totals.gross,
+    sales_net: b.totals.net,
+    sales_cumulative_tickets: b.cumulative.tickets,
+    sales_cumulative_gross: b.cumulative.gross,
+    sales_cumulative_net: b.cumulative.net,
+    sales_series_updated: updatedAt,
+  }));
+
+  const showWeek = entries.filter(e => e.daysBefore !== null && e.daysBefore <= HOURLY_DAYS);
+  const hourly = bucketize(showWeek, e => hourStart(e.purchasedAt, timeZone)).map(b => ({
+    event_id: event.event_id,
+    sales_hour: b.key,
+    days_before: daysBetween(localDate(b.key, timeZone), event.event_date),
+    sales_category: b.category,
+    sales_tickets: b.totals.tickets,
+    sales_gross: b.totals.gross,
+    sales_net: b.totals.net,
+    sales_series_updated: updatedAt,
+  }));
+
+  return { daily, hourly };
+}
+
+/**
+ * Writes the event's pacing rows in both tables, then drops the rows this build did not
+ * write (an older sales_series_updated): buckets that no longer have sales. A failed
+ * write leaves the previous series in place.
+ */
+async function savePacing(supabase, eventId, { daily, hourly }) {
+  const now = new Date().toISOString();
+  for (const [table, rows, onConflict] of [
+    [DAILY_TABLE, daily, 'event_id, sales_date, sales_category'],
+    [HOURLY_TABLE, hourly, 'event_id, sales_hour, sales_category'],
+  ]) {
+    await upsertInBatches(supabase, table, rows, onConflict);
+    const builtAt = rows.length > 0 ? rows[0].sales_series_updated : now;
+    const { error } = await supabase.from(table).delete().eq('event_id', eventId).lt('sales_series_updated', builtAt);
+    if (error) throw new Error(`Failed to clear stale ${table} rows of event ${eventId}: ${error.message}`);
+  }
+}
+
+/**
+ * Cumulative value of a daily series (rows of one category, by date) as of `daysBefore`
+ * days before the show: the last bucket at or before that day, 0 before the first sale.
+ */
+function cumulativeAt(series, daysBefore, column = 'sales_cumulative_tickets') {
+  let value = 0;
+  for (const row of series) {
+    if (row.days_before < daysBefore) break;
+    value = row[column];
+  }
+  return value;
+}
+
+module.exports = {
+  DAILY_TABLE,
+  HOURLY_TABLE,
+  ALL_CATEGORIES,
+  TICKETS_CATEGORY,
+  HOURLY_DAYS,
+  buildPacing,
+  savePacing,
+  cumulativeAt,
+};
@@ -0,0 +1,200 @@
+// lib/promoters.js
+// Who sold what: resolves COMPLETE order lines to a promoter and rolls them up into
+// promoter_sales (one row per event and promoter) with the commission owed.
+// The promoters and their deals live in config/promoters.json:
+//
+//   {
+//     "version": 1,
+//     "defaultCommission": { "basis": "net", "rate": 0.1, "perTicket": 0 },
+//     "promoters": [
+//       { "id": "jdoe", "name": "Jane Doe", "refIds": ["48213"], "promoCodes": ["JANE10"],
+//         "nameAny": ["JANE DOE"], "commission": { "basis": "gross", "rate": 0.08 } }
+//     ]
+//   }
+//
+// A line goes, in order, to the promoter whose promo code it used, whose Tixr ref_id it
+// came through, or, for PROMOTER items (see config/classification-rules.json), whose
+// name appears in the item name. Promoter links with an unknown ref_id are credited to
+// "ref:<ref_id>" and PROMOTER items with no known name to "unresolved"; neither earns a
+// commission until it is added to the config.
+const fs = require('fs');
+const path = require('path');
+const { normalizeText, classifyOrderRow } = require('./classification');
+const { sumOrderAmounts } = require('./orders');
+
+const DEFAULT_PROMOTERS_PATH = path.join(__dirname, '..', 'config', 'promoters.json');
+const PROMOTER_SALES_TABLE = 'promoter_sales';
+const PROMOTER_CATEGORY = 'PROMOTER';
+const UNRESOLVED_PROMOTER_ID = 'unresolved';
+const COMMISSION_BASES = ['net', 'gross'];
+
+// Tixr ref types whose ref_id identifies a promoter / affiliate link
+const PROMOTER_REF_TYPES = ['PROMOTER', 'AFFILIATE'];
+
+let cachedDirectory = null;
+
+const clean = (value) => (value === null || value === undefined || value === '' ? null : String(value).trim());
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// ==================== LOADING ====================
+
+function compileCommission(commission, fallback, label) {
+  const merged = { ...fallback, ...commission };
+  if (!COMMISSION_BASES.includes(merged.basis)) throw new Error(`${label}: commission basis must be net or gross`);
+  if (!(merged.rate >= 0)) throw new Error(`${label}: commission rate must be a number >= 0`);
+  return { basis: merged.basis, rate: merged.rate, perTicket: merged.perTicket || 0 };
+}
+
+/**
+ * Reads and validates the promoters file, indexing promo codes and ref_ids. Throws on
+ * anything malformed or on a code / ref_id claimed by two promoters.
+ */
+function loadPromoters(promotersPath = process.env.PROMOTERS_PATH || DEFAULT_PROMOTERS_PATH) {
+  const raw = JSON.parse(fs.readFileSync(promotersPath, 'utf8'));
+  if (!Array.isArray(raw.promoters)) throw new Error(`${promotersPath}: "promoters" must be a list`);
+  const defaultCommission = compileCommission(raw.defaultCommission, { basis: 'net', rate: 0 }, `${promotersPath} defaultCommission`);
+
+  const byId = new Map();
+  const byPromoCode = new Map();
+  const byRefId = new Map();
+  const claim = (index, key, promoter, what) => {
+    if (index.has(key)) throw new Error(`${promotersPath}: ${what} ${key} belongs to both ${index.get(key).id} and ${promoter.id}`);
+    index.set(key, promoter);
+  };
+
+  const promoters = raw.promoters.map(entry => {
+    if (!entry.id) throw new Error(`${promotersPath}: every promoter needs an id`);
+    if (byId.has(entry.id)) throw new Error(`${promotersPath}: duplicate promoter id ${entry.id}`);
+    const promoter = {
+      id: entry.id,
+      name: entry.name || entry.id,
+      registered: true,
+      nameAny: (entry.nameAny || []).map(normalizeText),
+      commission: compileCommission(entry.commission, defaultCommission, `${promotersPath} promoter ${entry.id}`),
+    };
+    byId.set(promoter.id, promoter);
+    for (const code of entry.promoCodes || []) claim(byPromoCode, normalizeText(code), promoter, 'promo code');
+    for (const refId of entry.refIds || []) claim(byRefId, String(refId).trim(), promoter, 'ref_id');
+    return promoter;
+  });
+
+  return { version: raw.version, path: promotersPath, defaultCommission, promoters, byId, byPromoCode, byRefId };
+}
+
+function getPromoters() {
+  if (!cachedDirectory) cachedDirectory = loadPromoters();
+  return cachedDirectory;
+}
+
+// ==================== RESOLUTION ====================
+
+function isPromoterItem(row) {
+  return (row.order_reporting_category || classifyOrderRow(row)) === PROMOTER_CATEGORY;
+}
+
+/**
+ * The promoter an events_orders row is credited to, or null when it is not a promoter
+ * sale. Unregistered promoters come back with `registered: false`.
+ */
+function resolvePromoter(row, directory = getPromoters()) {
+  const promoCode = clean(row.order_promo_code);
+  if (promoCode && directory.byPromoCode.has(normalizeText(promoCode))) return directory.byPromoCode.get(normalizeText(promoCode));
+
+  const refId = clean(row.order_ref);
+  if (refId && directory.byRefId.has(refId)) return directory.byRefId.get(refId);
+
+  const promoterItem = isPromoterItem(row);
+  if (promoterItem) {
+    const name = normalizeText(row.order_sales_item_name);
+    const match = directory.promoters.find(p => p.nameAny.some(k => name.includes(k)));
+    if (match) return match;
+  }
+
+  const refType = clean(row.order_ref_type)?.toUpperCase();
+  if (refId && PROMOTER_REF_TYPES.includes(refType)) {
+    return { id: `ref:${refId}`, name: `Unknown ${refType.toLowerCase()} ${refId}`, registered: false, commission: null };
+  }
+  if (promoterItem) return { id: UNRESOLVED_PROMOTER_ID, name: 'Unresolved promoter item', registered: false, commission: null };
+  return null;
+}
+
+// ==================== ROLLUP ====================
+
+function computeCommission(commission, { tickets, gross, net }) {
+  if (!commission) return 0;
+  const base = commission.basis === 'gross' ? gross : net;
+  return roundCents(base * commission.rate + tickets * commission.perTicket);
+}
+
+/**
+ * promoter_sales rows for one event from its COMPLETE, non-removed order lines (the
+ * rows lib/sales.js fetches for events_sales).
+ */
+function buildPromoterSales(eventId, orders, directory = getPromoters()) {
+  const groups = new Map();
+  for (const row of orders) {
+    if (row.order_status !== 'COMPLETE') continue;
+    const promoter = resolvePromoter(row, directory);
+    if (!promoter) continue;
+    if (!groups.has(promoter.id)) groups.set(promoter.id, { promoter, rows: [] });
+    groups.get(promoter.id).rows.push(row);
+  }
+
+  const updatedAt = new Date().toISOString();
+  return Array.from(groups.values()).map(({ promoter, rows }) => {
+    const totals = {
+      tickets: rows.reduce((sum, r) => sum + (r.order_quantity || 0), 0),
+      gross: sumOrderAmounts(rows, 'order_line_gross', 'order_gross'),
+      net: sumOrderAmounts(rows, 'order_line_net', 'order_net'),
+    };
+    return {
+      event_id: eventId,
+      promoter_id: promoter.id,
+      promoter_name: promoter.name,
+      promoter_registered: promoter.registered,
+      promoter_orders: new Set(rows.map(r => r.order_id)).size,
+      promoter_tickets: totals.tickets,
+      promoter_gross: totals.gross,
+      promoter_net: totals.net,
+      commission_basis: promoter.commission?.basis ?? null,
+      commission_rate: promoter.commission?.rate ?? null,
+      commission_per_ticket: promoter.commission?.perTicket ?? null,
+      commission_amount: computeCommission(promoter.commission, totals),
+      promoters_version: directory.version,
+      promoter_sales_updated: updatedAt,
+    };
+  });
+}
+
+// Drops the event's promoter_sales rows of promoters not in `promoterIds` (quoted: "ref:<ref_id>"
+// ids are free text)
+async function deleteOtherPromoters(supabase, eventId, promoterIds) {
+  let query = supabase.from(PROMOTER_SALES_TABLE).delete().eq('event_id', eventId);
+  if (promoterIds.length > 0) query = query.not('promoter_id', 'in', `(${promoterIds.map(id => `"${id.replace(/"/g, '\\"')}"`).join(',')})`);
+  const { error } = await query;
+  if (error) throw new Error(`Failed to clear promoter sales of event ${eventId}: ${error.message}`);
+}
+
+/**
+ * Writes the event's promoter_sales rows, then drops promoters that no longer have sales.
+ */
+async function savePromoterSales(supabase, eventId, rows) {
+  if (rows.length > 0) {
+    const { error } = await supabase.from(PROMOTER_SALES_TABLE).upsert(rows, { onConflict: 'event_id, promoter_id' });
+    if (error) throw new Error(`Failed to save promoter sales of event ${eventId}: ${error.message}`);
+  }
+  await deleteOtherPromoters(supabase, eventId, rows.map(r => r.promoter_id));
+}
+
+module.exports = {
+  DEFAULT_PROMOTERS_PATH,
+  PROMOTER_SALES_TABLE,
+  PROMOTER_REF_TYPES,
+  UNRESOLVED_PROMOTER_ID,
+  loadPromoters,
+  getPromoters,
+  resolvePromoter,
+  computeCommission,
+  buildPromoterSales,
+  savePromoterSales,
+};
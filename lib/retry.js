@@ -0,0 +1,66 @@
+// lib/retry.js
+// Bounded retries with exponential backoff and jitter.
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the next attempt: base * 2^(attempt-1), capped, then jittered
+ * between 50% and 100% so parallel workers don't retry in lockstep.
+ */
+function computeBackoffDelay(attempt, { baseDelayMs = DEFAULT_RETRY_OPTIONS.baseDelayMs, maxDelayMs = DEFAULT_RETRY_OPTIONS.maxDelayMs } = {}) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Runs `fn(attempt)` until it resolves or the attempts are exhausted.
+ *
+ * - `shouldRetry(error)` decides whether an error is worth another attempt (default: always).
+ * - `getRetryDelay(error)` may return a server-imposed delay in ms (e.g. Retry-After);
+ *   it takes precedence over the computed backoff but is still capped by `maxDelayMs`.
+ * - `onRetry(error, attempt, delayMs)` is called before sleeping.
+ *
+ * The last error is rethrown with `error.attempts` set to the number of attempts made.
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    maxAttempts = DEFAULT_RETRY_OPTIONS.maxAttempts,
+    baseDelayMs = DEFAULT_RETRY_OPTIONS.baseDelayMs,
+    maxDelayMs = DEFAULT_RETRY_OPTIONS.maxDelayMs,
+    shouldRetry = () => true,
+    getRetryDelay = () => null,
+    onRetry = null,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        if (error && typeof error === 'object') error.attempts = attempt;
+        throw error;
+      }
+
+      const serverDelay = getRetryDelay(error);
+      const delayMs = serverDelay != null
+        ? Math.min(serverDelay, maxDelayMs)
+        : computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+
+      if (onRetry) onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  computeBackoffDelay,
+  sleep,
+  DEFAULT_RETRY_OPTIONS,
+};
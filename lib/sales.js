@@ -0,0 +1,153 @@
+// lib/sales.js
+// events_sales aggregation, shared by the order webhook (one event, in real time) and
+// sync-sales.js (reconciliation). The ticket buckets come from the `aggregates` map of
+// the classification rules, so both writers count exactly the same thing.
+const { getClassificationRules } = require('./classification');
+const { sumRefunds, sumOrderAmounts, soldUnits, ORDER_AMOUNT_FIELDS } = require('./orders');
+const { buildAttribution, saveAttribution } = require('./attribution');
+const { buildPromoterSales, savePromoterSales } = require('./promoters');
+const { updateTierSoldCounts } = require('./tiers');
+const { buildPacing, savePacing } = require('./pacing');
+const { buildFestivalDays, saveFestivalDays } = require('./festival-days');
+
+// events_sales.sales_<name> is the sum of events_orders.order_line_<name>
+const AMOUNT_NAMES = Object.keys(ORDER_AMOUNT_FIELDS);
+const SALES_ORDER_COLUMNS = [
+  'order_id, order_sale_id, order_category, order_net, order_ref, order_ref_type, order_promo_code, order_gross, order_quantity, order_sales_item_name, order_status, order_reporting_category, order_purchase_date, order_tier_id',
+  ...AMOUNT_NAMES.map(name => `order_line_${name}`),
+].join(', ');
+const SALES_TICKET_COLUMNS = 'order_id, order_sale_id, ticket_name, ticket_category, ticket_ref_type, ticket_unit_price, ticket_tier_id, ticket_reporting_category, ticket_purchase_date';
+// What rebuildEventSales needs of the event (pacing days and festival days)
+const SALES_EVENT_COLUMNS = 'event_id, event_date, event_end_date, venues(venue_timezone)';
+const PAGE_SIZE = 1000;
+
+async function fetchAllPages(buildQuery, label) {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery().range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to fetch ${label}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Reads what the aggregate needs for one event: its COMPLETE, non-removed order lines
+ * and tickets, and its refunded rows. Throws on database errors.
+ */
+async function fetchSalesInputs(supabase, eventId) {
+  const orders = await fetchAllPages(() => supabase
+    .from('events_orders')
+    .select(SALES_ORDER_COLUMNS)
+    .eq('event_id', eventId)
+    .eq('order_status', 'COMPLETE')
+    .is('order_removed_at', null), `orders for event ${eventId}`);
+
+  const tickets = await fetchAllPages(() => supabase
+    .from('events_tickets')
+    .select(SALES_TICKET_COLUMNS)
+    .eq('event_id', eventId)
+    .eq('ticket_order_status', 'COMPLETE')
+    .is('ticket_removed_at', null), `tickets for event ${eventId}`);
+
+  // Refunds are order-level and tracked whatever the order's current status
+  const { data: refundedRows, error: refundError } = await supabase
+    .from('events_orders')
+    .select('order_id, order_refund_amount')
+    .eq('event_id', eventId)
+    .gt('order_refund_amount', 0);
+  if (refundError) throw new Error(`Failed to fetch refunds for event ${eventId}: ${refundError.message}`);
+
+  return { orders, tickets, refundedRows };
+}
+
+/**
+ * Builds the events_sales row: tickets per aggregate column, plus financials. Tickets
+ * count under the reporting category stored on them, so a comp line inside a paid order
+ * stays a comp; orders without events_tickets rows count their line quantities
+ * (soldUnits in lib/orders.js) until `node backfill-tickets.js` or a full order sync.
+ */
+function buildSalesAggregate(eventId, { orders, tickets = [], refundedRows }, ruleset = getClassificationRules()) {
+  const salesData = { event_id: eventId };
+  const columnByCategory = new Map();
+  for (const [column, categories] of Object.entries(ruleset.aggregates)) {
+    salesData[column] = 0;
+    for (const category of categories) columnByCategory.set(category, column);
+  }
+
+  for (const unit of soldUnits(orders, tickets, ruleset)) {
+    const column = columnByCategory.get(unit.category);
+    if (column) salesData[column] += unit.quantity;
+  }
+
+  for (const name of AMOUNT_NAMES) {
+    const orderColumn = name === 'gross' || name === 'net' ? `order_${name}` : null;
+    salesData[`sales_${name}`] = sumOrderAmounts(orders, `order_line_${name}`, orderColumn);
+  }
+  salesData.sales_refunds = sumRefunds(refundedRows);
+  return salesData;
+}
+
+/**
+ * Rewrites what is derived from the same inputs as events_sales: events_attribution and
+ * promoter_sales from the order lines, the tier sold counts from the tickets and the
+ * lines that have none.
+ */
+async function saveSalesBreakdowns(supabase, eventId, { orders, tickets }) {
+  await saveAttribution(supabase, eventId, buildAttribution(eventId, orders));
+  await savePromoterSales(supabase, eventId, buildPromoterSales(eventId, orders));
+  await updateTierSoldCounts(supabase, eventId, { orders, tickets });
+}
+
+/**
+ * Upserts an events_sales row and stamps events.event_sales_updated.
+ */
+async function saveEventSales(supabase, salesData) {
+  const { error: upsertError } = await supabase
+    .from('events_sales')
+    .upsert(salesData, { onConflict: 'event_id' });
+  if (upsertError) throw new Error(`Failed to update events_sales: ${upsertError.message}`);
+
+  const { error: timestampError } = await supabase
+    .from('events')
+    .update({ event_sales_updated: new Date().toISOString() })
+    .eq('event_id', salesData.event_id);
+  if (timestampError) console.error(`  ❌ Failed to update events timestamp:`, timestampError.message);
+  return !timestampError;
+}
+
+async function updateEventSalesAggregate(supabase, eventId) {
+  console.log(`  📊 Recalculating real-time sales aggregate for Event ID: ${eventId}...`);
+
+  const inputs = await fetchSalesInputs(supabase, eventId);
+  const salesData = buildSalesAggregate(eventId, inputs);
+  const stamped = await saveEventSales(supabase, salesData);
+  await saveSalesBreakdowns(supabase, eventId, inputs);
+  if (stamped) console.log(`  ✅ Successfully updated real-time sales for Event ${eventId}.`);
+  return salesData;
+}
+
+/**
+ * Full rebuild of one event for sync-sales.js and its dead-letter retry: the breakdowns,
+ * the pacing series and the festival days are saved, and the events_sales row is
+ * returned for the caller to save. `event` is an events row with SALES_EVENT_COLUMNS.
+ */
+async function rebuildEventSales(supabase, event) {
+  const inputs = await fetchSalesInputs(supabase, event.event_id);
+  const salesData = buildSalesAggregate(event.event_id, inputs);
+  await saveSalesBreakdowns(supabase, event.event_id, inputs);
+  await savePacing(supabase, event.event_id, buildPacing(event, inputs));
+  await saveFestivalDays(supabase, event.event_id, buildFestivalDays(event, inputs));
+  return salesData;
+}
+
+module.exports = {
+  SALES_ORDER_COLUMNS,
+  SALES_EVENT_COLUMNS,
+  fetchSalesInputs,
+  buildSalesAggregate,
+  saveSalesBreakdowns,
+  saveEventSales,
+  updateEventSalesAggregate,
+  rebuildEventSales,
+};
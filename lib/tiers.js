@@ -0,0 +1,155 @@
+// lib/tiers.js
+// Ticket tiers of an event (price levels such as "Early bird", "GA 2nd release") in
+// events_tiers: what Tixr says about them (price, capacity, on-sale window, status) plus
+// how many of our COMPLETE tickets carry the tier. Tiers come from the event payload,
+// either nested in its sales (`sales[].tiers[]`) or flat (`tiers[]`).
+const { upsertInBatches, soldUnits } = require('./orders');
+
+const TIERS_TABLE = 'events_tiers';
+const TIER_CONFLICT_KEY = 'event_id, tier_id';
+
+// Tixr has sent tier fields under several names; the first one present wins
+const TIER_FIELDS = {
+  id: ['id', 'tier_id'],
+  name: ['name', 'tier_name'],
+  price: ['price', 'current_price', 'face_value'],
+  capacity: ['quantity', 'capacity', 'allotment', 'total_quantity', 'inventory'],
+  sold: ['quantity_sold', 'sold', 'sold_count'],
+  start: ['start_date', 'sales_start', 'on_sale_date'],
+  end: ['end_date', 'sales_end', 'off_sale_date'],
+  status: ['status', 'state'],
+};
+
+function firstField(source, fields) {
+  const field = fields.find(f => source[f] !== undefined && source[f] !== null && source[f] !== '');
+  return field ? source[field] : null;
+}
+
+function toNumberOrNull(value) {
+  if (value === null) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toTimestamp(value) {
+  if (value === null) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * events_tiers rows from a Tixr event. Returns null when the payload carries no tier
+ * information at all, so callers do not mistake it for "every tier was removed".
+ */
+function extractEventTiers(tixrEvent) {
+  const hasSales = Array.isArray(tixrEvent.sales) && tixrEvent.sales.some(sale => Array.isArray(sale.tiers));
+  if (!hasSales && !Array.isArray(tixrEvent.tiers)) return null;
+
+  const nested = hasSales
+    ? tixrEvent.sales.flatMap(sale => (sale.tiers || []).map(tier => ({ tier, sale })))
+    : [];
+  const flat = (tixrEvent.tiers || []).map(tier => ({ tier, sale: null }));
+
+  const updatedAt = new Date().toISOString();
+  const rows = new Map();
+  for (const { tier, sale } of [...nested, ...flat]) {
+    const tierId = firstField(tier, TIER_FIELDS.id);
+    if (tierId === null || rows.has(String(tierId))) continue;
+    const capacity = toNumberOrNull(firstField(tier, TIER_FIELDS.capacity));
+    const sold = toNumberOrNull(firstField(tier, TIER_FIELDS.sold));
+    rows.set(String(tierId), {
+      event_id: parseInt(tixrEvent.id),
+      tier_id: parseInt(tierId),
+      tier_sale_id: sale?.id ?? null,
+      tier_sale_name: sale?.name ?? null,
+      tier_name: firstField(tier, TIER_FIELDS.name),
+      tier_price: toNumberOrNull(firstField(tier, TIER_FIELDS.price)),
+      tier_capacity: capacity === null ? null : Math.round(capacity),
+      tier_sold_tixr: sold === null ? null : Math.round(sold),
+      tier_start: toTimestamp(firstField(tier, TIER_FIELDS.start)),
+      tier_end: toTimestamp(firstField(tier, TIER_FIELDS.end)),
+      tier_status: firstField(tier, TIER_FIELDS.status),
+      tier_removed_at: null,
+      tier_updated: updatedAt,
+    });
+  }
+  return Array.from(rows.values());
+}
+
+/**
+ * Upserts an event's tiers and soft-deletes the ones Tixr no longer lists. Returns how
+ * many were flagged removed.
+ */
+async function saveEventTiers(supabase, eventId, tiers) {
+  await upsertInBatches(supabase, TIERS_TABLE, tiers, TIER_CONFLICT_KEY);
+
+  const current = new Set(tiers.map(t => String(t.tier_id)));
+  const { data, error } = await supabase
+    .from(TIERS_TABLE)
+    .select('tier_id')
+    .eq('event_id', eventId)
+    .is('tier_removed_at', null);
+  if (error) throw new Error(`Error reading tiers of event ${eventId}: ${error.message}`);
+
+  const stale = data.filter(row => !current.has(String(row.tier_id))).map(row => row.tier_id);
+  if (stale.length === 0) return 0;
+  const { error: updateError } = await supabase
+    .from(TIERS_TABLE)
+    .update({ tier_removed_at: new Date().toISOString() })
+    .eq('event_id', eventId)
+    .in('tier_id', stale);
+  if (updateError) throw new Error(`Error flagging removed tiers of event ${eventId}: ${updateError.message}`);
+  return stale.length;
+}
+
+/**
+ * Stores on each tier of the event how many COMPLETE, non-removed tickets carry it.
+ * `orders` and `tickets` are the rows lib/sales.js fetches; orders without ticket rows
+ * count their line quantity under the line's tier (lib/orders.js soldUnits).
+ */
+async function updateTierSoldCounts(supabase, eventId, { orders, tickets }) {
+  const counts = new Map();
+  for (const unit of soldUnits(orders, tickets)) {
+    if (unit.tierId === null || unit.tierId === undefined) continue;
+    const key = String(unit.tierId);
+    counts.set(key, (counts.get(key) || 0) + unit.quantity);
+  }
+
+  const { data, error } = await supabase.from(TIERS_TABLE).select('tier_id, tier_sold_tickets').eq('event_id', eventId);
+  if (error) throw new Error(`Error reading tiers of event ${eventId}: ${error.message}`);
+
+  for (const tier of data) {
+    const sold = counts.get(String(tier.tier_id)) || 0;
+    if (sold === tier.tier_sold_tickets) continue;
+    const { error: updateError } = await supabase
+      .from(TIERS_TABLE)
+      .update({ tier_sold_tickets: sold })
+      .eq('event_id', eventId)
+      .eq('tier_id', tier.tier_id);
+    if (updateError) throw new Error(`Error updating sold count of tier ${tier.tier_id}: ${updateError.message}`);
+  }
+}
+
+// Tixr's own sold count when it sends one, else our ticket count
+function tierSold(tier) {
+  return tier.tier_sold_tixr ?? tier.tier_sold_tickets ?? 0;
+}
+
+/**
+ * { sold, remaining, ratio } of an events_tiers row; remaining and ratio are null when
+ * the tier has no known capacity.
+ */
+function tierInventory(tier) {
+  const sold = tierSold(tier);
+  if (!tier.tier_capacity) return { sold, remaining: null, ratio: null };
+  return { sold, remaining: Math.max(tier.tier_capacity - sold, 0), ratio: sold / tier.tier_capacity };
+}
+
+module.exports = {
+  TIERS_TABLE,
+  TIER_FIELDS,
+  extractEventTiers,
+  saveEventTiers,
+  updateTierSoldCounts,
+  tierInventory,
+};
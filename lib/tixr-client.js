@@ -0,0 +1,223 @@
+// lib/tixr-client.js
+// Shared client for the Tixr Studio API. Every script goes through this module
+// so that request signing, pagination, timeouts and error handling live in one place.
+const axios = require('axios');
+const crypto = require('crypto');
+const { withRetry, DEFAULT_RETRY_OPTIONS } = require('./retry');
+
+const TIXR_API_BASE_URL = 'https://studio.tixr.com';
+const TIXR_API_PREFIX = '/v1';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_PAGE_SIZE = 100;
+
+// ==================== ERRORS ====================
+
+class TixrApiError extends Error {
+  constructor(message, { status = null, path = null, data = null, retryAfterMs = null, cause = null } = {}) {
+    super(message);
+    this.name = 'TixrApiError';
+    this.status = status;
+    this.path = path;
+    this.data = data;
+    this.retryAfterMs = retryAfterMs;
+    if (cause) this.cause = cause;
+  }
+
+  get isNotFound() { return this.status === 404; }
+  get isClientError() { return this.status !== null && this.status >= 400 && this.status < 500; }
+  get isServerError() { return this.status !== null && this.status >= 500; }
+  // No HTTP status at all means the request never got an answer (timeout, DNS, reset...)
+  get isNetworkError() { return this.status === null; }
+  get isRateLimited() { return this.status === 429; }
+  // Network failures, timeouts, rate limits and 5xx are transient; any other 4xx will fail again.
+  get isRetryable() { return this.isNetworkError || this.isServerError || this.isRateLimited || this.status === 408; }
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ==================== SIGNING ====================
+
+// Tixr signs "<full path>?<params sorted alphabetically>" with HMAC-SHA256.
+// The full path always includes the /v1 prefix, and the URL we send uses the
+// exact same sorted query string that was hashed.
+function buildQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(k => `${k}=${encodeURIComponent(params[k])}`)
+    .join('&');
+}
+
+function signRequest(fullPath, params, secretKey) {
+  const query = buildQuery(params);
+  const hash = crypto.createHmac('sha256', secretKey).update(`${fullPath}?${query}`).digest('hex');
+  return { query, hash };
+}
+
+// ==================== CLIENT ====================
+
+class TixrClient {
+  constructor({ groupId, cpk, secretKey, baseUrl = TIXR_API_BASE_URL, timeout = DEFAULT_TIMEOUT_MS, retry = {} }) {
+    if (!cpk || !secretKey) throw new Error('TixrClient requires a cpk and a secretKey');
+    this.groupId = groupId;
+    this.cpk = cpk;
+    this.secretKey = secretKey;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.retry = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+  }
+
+  /**
+   * Builds a signed URL. `path` is relative to /v1 (e.g. `/groups/980/events`).
+   * A fresh `t` is generated on every call, so a URL must not be reused across retries.
+   */
+  buildUrl(path, params = {}) {
+    const fullPath = `${TIXR_API_PREFIX}${path}`;
+    const allParams = { ...params, cpk: this.cpk, t: Date.now() };
+    const { query, hash } = signRequest(fullPath, allParams, this.secretKey);
+    return `${this.baseUrl}${fullPath}?${query}&hash=${hash}`;
+  }
+
+  async request(path, params, timeout) {
+    const url = this.buildUrl(path, params);
+    try {
+      const { data } = await axios.get(url, { timeout, headers: { Accept: 'application/json' } });
+      return data;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const message = status ? `Tixr API ${status} on ${path}` : `Tixr API request failed on ${path}: ${error.message}`;
+      throw new TixrApiError(message, {
+        status,
+        path,
+        data: error.response?.data ?? null,
+        retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']),
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * GETs a path, retrying transient failures (network, 5xx, 429) with exponential
+   * backoff. A 429 waits for Retry-After when Tixr sends one. Other 4xx fail at once.
+   */
+  get(path, params = {}, { timeout = this.timeout, retry = {} } = {}) {
+    const policy = { ...this.retry, ...retry };
+    return withRetry(() => this.request(path, params, timeout), {
+      ...policy,
+      shouldRetry: error => error instanceof TixrApiError && error.isRetryable,
+      getRetryDelay: error => error.retryAfterMs,
+      onRetry: policy.onRetry || ((error, attempt, delayMs) => {
+        console.warn(`  ⏳ ${error.message} — retry ${attempt}/${policy.maxAttempts - 1} in ${(delayMs / 1000).toFixed(1)}s`);
+      }),
+    });
+  }
+
+  /**
+   * Fetches a single resource, returning null instead of throwing when Tixr answers 404.
+   */
+  async getOne(path, params = {}, options = {}) {
+    try {
+      const data = await this.get(path, params, options);
+      return Array.isArray(data) ? (data[0] ?? null) : data;
+    } catch (error) {
+      if (error instanceof TixrApiError && error.isNotFound) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Walks every page of a list endpoint. Pages are requested until one comes back
+   * shorter than `pageSize`. If `onPage` is given it is awaited for each page.
+   */
+  async getAll(path, params = {}, { pageSize = DEFAULT_PAGE_SIZE, pageDelayMs = 0, onPage = null, timeout } = {}) {
+    const results = [];
+    let pageNumber = 1;
+
+    while (true) {
+      const data = await this.get(path, { ...params, page_number: pageNumber, page_size: pageSize }, { timeout });
+      if (!Array.isArray(data) || data.length === 0) break;
+
+      results.push(...data);
+      if (onPage) await onPage(data, pageNumber);
+      if (data.length < pageSize) break;
+
+      pageNumber++;
+      if (pageDelayMs > 0) await new Promise(resolve => setTimeout(resolve, pageDelayMs));
+    }
+    return results;
+  }
+
+  // ==================== ENDPOINTS ====================
+
+  getEvents(params = {}, options = {}) {
+    return this.getAll(`/groups/${this.groupId}/events`, params, options);
+  }
+
+  getEvent(eventId) {
+    return this.getOne(`/groups/${this.groupId}/events/${eventId}`);
+  }
+
+  getEventOrders(eventId, params = {}, options = {}) {
+    return this.getAll(`/groups/${this.groupId}/events/${eventId}/orders`, params, options);
+  }
+
+  getEventFans(eventId, params = {}, options = {}) {
+    return this.getAll(`/groups/${this.groupId}/events/${eventId}/fans`, params, options);
+  }
+
+  getOrder(orderId) {
+    return this.getOne(`/groups/${this.groupId}/orders/${orderId}`);
+  }
+
+  getFan(userId) {
+    return this.getOne(`/groups/${this.groupId}/fans/${userId}`);
+  }
+
+  getFanOrders(userId, params = {}, options = {}) {
+    return this.getAll(`/groups/${this.groupId}/fans/${userId}/orders`, params, options);
+  }
+
+  getAttendance(eventId, serialNumber) {
+    return this.getOne(`/events/${eventId}/attendance/${serialNumber}`);
+  }
+
+  // Check-in history of a ticket ({ action, date } entries); [] when Tixr has none
+  async getAttendanceTransactions(eventId, serialNumber) {
+    try {
+      const data = await this.get(`/events/${eventId}/attendance/${serialNumber}/transactions`);
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (error instanceof TixrApiError && error.isNotFound) return [];
+      throw error;
+    }
+  }
+}
+
+function createTixrClientFromEnv(overrides = {}) {
+  const retry = {};
+  if (process.env.TIXR_MAX_ATTEMPTS) retry.maxAttempts = parseInt(process.env.TIXR_MAX_ATTEMPTS, 10);
+  if (process.env.TIXR_RETRY_BASE_MS) retry.baseDelayMs = parseInt(process.env.TIXR_RETRY_BASE_MS, 10);
+
+  return new TixrClient({
+    groupId: process.env.TIXR_GROUP_ID || '980',
+    cpk: process.env.TIXR_CPK,
+    secretKey: process.env.TIXR_SECRET_KEY,
+    retry,
+    ...overrides,
+  });
+}
+
+module.exports = {
+  TixrClient,
+  TixrApiError,
+  createTixrClientFromEnv,
+  buildQuery,
+  signRequest,
+  TIXR_API_BASE_URL,
+};
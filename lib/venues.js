@@ -0,0 +1,139 @@
+// lib/venues.js
+// The room an event is held in, stored in `venues` and linked by events.event_venue_id so
+// sales and attendance can be compared across rooms. The rooms we run are listed in
+// config/venues.json:
+//
+//   {
+//     "version": 1,
+//     "venues": [
+//       { "id": "room202", "name": "Room 202", "tixrVenueIds": ["1234"],
+//         "nameAny": ["ROOM202", "ROOM 202"], "timezone": "America/Montreal" }
+//     ]
+//   }
+//
+// An event goes to the room whose tixrVenueIds has the id of its Tixr venue, else whose
+// nameAny matches the Tixr venue name, else whose nameAny appears in the event name. A
+// Tixr venue listed in no room becomes a venue of its own, "tixr:<id>", with the name
+// Tixr gives. The capacity of a venue is always the one Tixr gives for it; an event with
+// its own events.event_capacity is measured against that instead.
+// `timezone` is only needed for rooms outside the default zone of lib/dates.js; event
+// days and cutoffs of their events are computed in it.
+const fs = require('fs');
+const path = require('path');
+const { aliasKey } = require('./artists');
+const { isValidTimeZone } = require('./dates');
+
+const DEFAULT_VENUES_PATH = path.join(__dirname, '..', 'config', 'venues.json');
+const VENUES_TABLE = 'venues';
+
+let cachedConfig = null;
+
+// ==================== LOADING ====================
+
+/**
+ * Reads and validates the venues file. Throws on anything malformed or on a Tixr venue id
+ * claimed by two rooms.
+ */
+function loadVenues(venuesPath = process.env.VENUES_PATH || DEFAULT_VENUES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(venuesPath, 'utf8'));
+  if (!Array.isArray(raw.venues)) throw new Error(`${venuesPath}: "venues" must be a list`);
+
+  const byId = new Map();
+  const byTixrId = new Map();
+  const venues = raw.venues.map(entry => {
+    if (!entry.id || !entry.name) throw new Error(`${venuesPath}: every venue needs an id and a name`);
+    if (entry.id.startsWith('tixr:')) throw new Error(`${venuesPath}: venue id ${entry.id} is reserved for Tixr venues`);
+    if (byId.has(entry.id)) throw new Error(`${venuesPath}: duplicate venue id ${entry.id}`);
+    if (entry.timezone && !isValidTimeZone(entry.timezone)) throw new Error(`${venuesPath}: venue ${entry.id} has unknown timezone ${entry.timezone}`);
+    const venue = {
+      id: entry.id,
+      name: entry.name,
+      timezone: entry.timezone || null,
+      nameAny: (entry.nameAny || [entry.name]).map(aliasKey).filter(Boolean),
+    };
+    byId.set(venue.id, venue);
+    for (const tixrId of entry.tixrVenueIds || []) {
+      const key = String(tixrId).trim();
+      if (byTixrId.has(key)) throw new Error(`${venuesPath}: Tixr venue ${key} belongs to both ${byTixrId.get(key).id} and ${venue.id}`);
+      byTixrId.set(key, venue);
+    }
+    return venue;
+  });
+
+  return { version: raw.version, path: venuesPath, venues, byId, byTixrId };
+}
+
+function getVenues() {
+  if (!cachedConfig) cachedConfig = loadVenues();
+  return cachedConfig;
+}
+
+// ==================== RESOLUTION ====================
+
+const wordText = (value) => ` ${aliasKey(value)} `;
+const findByName = (config, text) => config.venues.find(v => v.nameAny.some(keyword => text.includes(` ${keyword} `)));
+
+/**
+ * The `venues` row of a Tixr event, or null when neither its Tixr venue nor its name
+ * tells the room.
+ */
+function resolveVenue(tixrEvent, config = getVenues()) {
+  const tixrVenue = tixrEvent.venue && typeof tixrEvent.venue === 'object' ? tixrEvent.venue : null;
+  const tixrId = tixrVenue?.id !== undefined && tixrVenue?.id !== null ? String(tixrVenue.id) : null;
+  const tixrCapacity = parseInt(tixrVenue?.capacity) > 0 ? parseInt(tixrVenue.capacity) : null;
+  const city = tixrVenue?.city || tixrVenue?.address?.city || null;
+  const tixrTimeZone = [tixrVenue?.timezone, tixrVenue?.time_zone, tixrEvent.timezone].find(tz => tz && isValidTimeZone(tz)) || null;
+
+  const room = (tixrId && config.byTixrId.get(tixrId))
+    || (tixrVenue?.name && findByName(config, wordText(tixrVenue.name)))
+    || findByName(config, wordText(tixrEvent.name));
+  if (room) {
+    return {
+      venue_id: room.id,
+      venue_name: room.name,
+      venue_capacity: tixrCapacity,
+      venue_tixr_id: tixrId,
+      venue_city: city,
+      venue_timezone: room.timezone ?? tixrTimeZone,
+      venue_source: 'config',
+    };
+  }
+  if (!tixrId) return null;
+  return {
+    venue_id: `tixr:${tixrId}`,
+    venue_name: tixrVenue.name || `Tixr venue ${tixrId}`,
+    venue_capacity: tixrCapacity,
+    venue_tixr_id: tixrId,
+    venue_city: city,
+    venue_timezone: tixrTimeZone,
+    venue_source: 'tixr',
+  };
+}
+
+// Lowercase room names, for the artist extraction to strip them from event names
+function venueNamePatterns(config = getVenues()) {
+  return config.venues.flatMap(v => v.nameAny.map(keyword => keyword.toLowerCase()));
+}
+
+/**
+ * Upserts the venues (deduplicated by id) so events can reference them. Returns how many
+ * were saved.
+ */
+async function saveVenues(supabase, venues) {
+  const rows = new Map();
+  for (const venue of venues) if (venue) rows.set(venue.venue_id, { ...venue, venue_updated: new Date().toISOString() });
+  if (rows.size === 0) return 0;
+  const { error } = await supabase.from(VENUES_TABLE).upsert([...rows.values()], { onConflict: 'venue_id' });
+  if (error) throw new Error(`Failed to save venues: ${error.message}`);
+  return rows.size;
+}
+
+module.exports = {
+  DEFAULT_VENUES_PATH,
+  VENUES_TABLE,
+  loadVenues,
+  getVenues,
+  resolveVenue,
+  venueNamePatterns,
+  saveVenues,
+};
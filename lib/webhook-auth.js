@@ -0,0 +1,126 @@
+// lib/webhook-auth.js
+// Authenticates incoming webhooks before anything touches the database.
+//
+// The sender signs `<timestamp>.<raw body>` with HMAC-SHA256 using the shared secret
+// and sends it as:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex digest>      (the "sha256=" prefix is optional)
+// Requests outside the replay window, with a bad signature, already seen within the
+// window, or from an IP that is not on the allow-list (when one is configured) are
+// rejected with 401/403.
+//
+// The client IP is the socket's peer address. X-Forwarded-For is set by the client, so it
+// is only read through Express's `trust proxy` setting (req.ip), which the server enables
+// with WEBHOOK_TRUST_PROXY when it runs behind a known number of proxies.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+// Signatures remembered for replay checks; the oldest are dropped past this many
+const MAX_SEEN_SIGNATURES = 10000;
+
+function getClientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress;
+  // IPv4 clients show up as IPv4-mapped IPv6 addresses on dual-stack sockets
+  return ip ? ip.replace(/^::ffff:/, '') : null;
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Returns null when the request is authentic, otherwise `{ status, reason }`.
+ */
+function verifyWebhookRequest(req, { secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, allowedIps = [], now = Date.now() }) {
+  const clientIp = getClientIp(req);
+  if (allowedIps.length > 0 && !allowedIps.includes(clientIp)) {
+    return { status: 403, reason: 'ip_not_allowed' };
+  }
+
+  const timestamp = req.headers[TIMESTAMP_HEADER];
+  const signature = (req.headers[SIGNATURE_HEADER] || '').replace(/^sha256=/, '');
+  if (!timestamp || !signature) return { status: 401, reason: 'missing_signature' };
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds)) return { status: 401, reason: 'bad_timestamp' };
+  if (Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) return { status: 401, reason: 'stale_timestamp' };
+
+  if (!Buffer.isBuffer(req.rawBody)) return { status: 401, reason: 'missing_body' };
+  const expected = computeSignature(secret, timestamp, req.rawBody);
+  if (!/^[0-9a-f]+$/i.test(signature) || !safeEqualHex(signature, expected)) {
+    return { status: 401, reason: 'bad_signature' };
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware factory. `stats` counts the requests accepted and rejected (by
+ * reason), for the server's logs; it is not meant to be served publicly.
+ */
+function createWebhookAuth({ secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, allowedIps = [], maxSeenSignatures = MAX_SEEN_SIGNATURES }) {
+  if (!secret) throw new Error('createWebhookAuth requires a secret');
+  const stats = { accepted: 0, rejected: 0, rejectedByReason: {} };
+  // Signatures accepted within the tolerance window, so an identical request can't be replayed
+  const seenSignatures = new Map();
+
+  // Entries are added with the same lifetime, so the map is in expiry order: expired and
+  // over-the-limit entries are all at its start
+  function checkReplay(req) {
+    const now = Date.now();
+    for (const [signature, expiresAt] of seenSignatures) {
+      if (expiresAt > now && seenSignatures.size < maxSeenSignatures) break;
+      seenSignatures.delete(signature);
+    }
+    const signature = req.headers[SIGNATURE_HEADER].replace(/^sha256=/, '').toLowerCase();
+    if (seenSignatures.has(signature)) return { status: 401, reason: 'replayed' };
+    seenSignatures.set(signature, now + toleranceSeconds * 2000);
+    return null;
+  }
+
+  function middleware(req, res, next) {
+    const clientIp = getClientIp(req);
+    const failure = verifyWebhookRequest(req, { secret, toleranceSeconds, allowedIps }) || checkReplay(req);
+
+    if (failure) {
+      stats.rejected++;
+      stats.rejectedByReason[failure.reason] = (stats.rejectedByReason[failure.reason] || 0) + 1;
+      console.warn(`\n🚫 Rejected webhook ${req.method} ${req.originalUrl} from IP ${clientIp}: ${failure.reason}`);
+      return res.status(failure.status).json({ error: 'Unauthorized' });
+    }
+
+    stats.accepted++;
+    console.log(`\n📥 Received webhook from IP: ${clientIp}`);
+    next();
+  }
+
+  return { middleware, stats };
+}
+
+// Keeps the raw request bytes around for signature checks; pass as `verify` to express.json().
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function parseAllowedIps(value) {
+  return (value || '').split(',').map(ip => ip.trim()).filter(Boolean);
+}
+
+module.exports = {
+  createWebhookAuth,
+  verifyWebhookRequest,
+  computeSignature,
+  captureRawBody,
+  parseAllowedIps,
+  getClientIp,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
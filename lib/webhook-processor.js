@@ -0,0 +1,159 @@
+// lib/webhook-processor.js
+// What the webhook server does with a Tixr event or order notification. Kept out of
+// the HTTP handlers so the queue worker and the replay command run the same code.
+// Every function throws on failure so the caller can retry.
+const { saveOrders, capitalize } = require('./orders');
+const { updateEventSalesAggregate } = require('./sales');
+const { extractEventTiers, saveEventTiers } = require('./tiers');
+const { extractLineup, buildTimetable, saveEventLineup } = require('./lineup');
+const { linkLineupArtists } = require('./artists');
+const { classifyTixrEvent } = require('./event-tags');
+const { resolveVenue, saveVenues } = require('./venues');
+const { DEFAULT_TIME_ZONE, localDate, eventEndDay, computeEventStatus } = require('./dates');
+const { deriveEventState, removedEventState, applyEventState, recordStateChanges } = require('./event-state');
+
+// ==================== EVENT PROCESSING LOGIC ====================
+
+function transformEventForDB(tixrEvent, timeZone = DEFAULT_TIME_ZONE) {
+  const eventDate = localDate(tixrEvent.start_date, timeZone);
+  return {
+    event_id: parseInt(tixrEvent.id),
+    event_name: tixrEvent.name,
+    event_date: eventDate,
+    event_end_date: eventEndDay(eventDate, tixrEvent.end_date, timeZone),
+    event_flyer: tixrEvent.flyer_url || tixrEvent.mobile_image_url || null,
+    event_removed_at: null,
+    event_updated: new Date().toISOString(),
+    // ⚠️ NOTE: event_status is intentionally excluded here so we don't overwrite your external LIVE/ONGOING/PAST logic.
+  };
+}
+
+const STATE_COLUMNS = 'event_id, event_status, event_state, event_state_reason, event_state_updated';
+
+async function fetchCurrentState(supabase, eventId) {
+  const { data, error } = await supabase.from('events').select(STATE_COLUMNS).eq('event_id', eventId).maybeSingle();
+  if (error) throw new Error(`Failed to read event ${eventId}: ${error.message}`);
+  return data;
+}
+
+// Unpublished and removed events are kept, flagged with event_removed_at (lib/event-state.js)
+async function flagRemovedEvent(supabase, eventId, action) {
+  const current = await fetchCurrentState(supabase, eventId);
+  if (!current) {
+    console.log(`  ℹ️  Event ${eventId} is not in the database; nothing to flag.`);
+    return { message: 'Event not found' };
+  }
+
+  const { state, reason } = removedEventState(current, action);
+  const row = { event_id: current.event_id, event_state: state, event_state_reason: reason };
+  const stateChange = applyEventState(row, current);
+  const removedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('events')
+    .update({ ...row, event_removed_at: removedAt, event_updated: removedAt })
+    .eq('event_id', eventId);
+  if (error) throw new Error(`Failed to flag event ${eventId} removed: ${error.message}`);
+  if (stateChange) await recordStateChanges(supabase, [stateChange]);
+  console.log(`  ✅ Event ${eventId} flagged removed (${state}).`);
+  return { message: 'Event flagged removed' };
+}
+
+async function processEventWebhook({ supabase, tixr }, { event_id, action }) {
+  console.log(`  Processing EVENT webhook: Action=${action || 'UPDATE'}, EventID=${event_id}`);
+
+  if (action === 'UNPUBLISH' || action === 'REMOVED') return flagRemovedEvent(supabase, event_id, action);
+
+  console.log(`  🔍 Fetching full details for event ${event_id}...`);
+  const fullEventData = await tixr.getEvent(event_id);
+  if (!fullEventData) throw new Error(`Event ${event_id} not found in Tixr`);
+
+  const venue = resolveVenue(fullEventData);
+  const eventForDB = transformEventForDB(fullEventData, venue?.venue_timezone || DEFAULT_TIME_ZONE);
+  const lineup = extractLineup(fullEventData);
+  if (lineup) eventForDB.timetable = buildTimetable(lineup);
+  // Without a lineup the headliner is only known to the full sync, so an existing genre is kept
+  const { genre, tags } = classifyTixrEvent(fullEventData, {
+    date: eventForDB.event_date,
+    artists: (lineup || []).map(act => act.artist_name),
+  });
+  eventForDB.event_tags = tags;
+  if (genre) eventForDB.event_genre = genre;
+  if (venue) {
+    await saveVenues(supabase, [venue]);
+    eventForDB.event_venue_id = venue.venue_id;
+  }
+  // The status is only read for the state; it stays with the status job
+  const tiers = extractEventTiers(fullEventData);
+  const status = computeEventStatus(eventForDB.event_date, eventForDB.event_end_date, venue?.venue_timezone || DEFAULT_TIME_ZONE);
+  const { state, reason } = deriveEventState({ tixrEvent: fullEventData, status, tiers });
+  eventForDB.event_state = state;
+  eventForDB.event_state_reason = reason;
+  const stateChange = applyEventState(eventForDB, await fetchCurrentState(supabase, eventForDB.event_id));
+
+  const { error } = await supabase.from('events').upsert(eventForDB, { onConflict: 'event_id' });
+  if (error) throw new Error(`Failed to save event ${event_id}: ${error.message}`);
+  if (stateChange) {
+    await recordStateChanges(supabase, [stateChange]);
+    console.log(`  🏷️  State ${stateChange.state_from || 'none'} → ${state} (${reason}).`);
+  }
+
+  if (tiers) {
+    const removedTiers = await saveEventTiers(supabase, eventForDB.event_id, tiers);
+    console.log(`  🎟️  Saved ${tiers.length} tiers${removedTiers ? `, flagged ${removedTiers} removed` : ''}.`);
+  }
+
+  if (lineup) {
+    await saveEventLineup(supabase, eventForDB.event_id, lineup);
+    console.log(`  🎤 Saved ${lineup.length} lineup acts.`);
+    // New or changed acts have no artist link yet; a failure here is not worth retrying the event
+    await linkLineupArtists(supabase, [eventForDB.event_id]).catch(err => console.error(`  ⚠️  Could not link lineup artists: ${err.message}`));
+  }
+
+  console.log(`  ✅ Event ${eventForDB.event_name} (ID: ${event_id}) successfully synced.`);
+  return { message: 'Event synced' };
+}
+
+// ==================== ORDER PROCESSING LOGIC ====================
+
+async function processOrderWebhook({ supabase, tixr }, { order_id, transaction_type }) {
+  console.log(`  Processing ORDER webhook: Transaction=${transaction_type}, OrderID=${order_id}`);
+
+  console.log(`  🔍 Fetching full details for order ${order_id}...`);
+  const fullOrder = await tixr.getOrder(order_id);
+  if (!fullOrder) throw new Error(`Order ${order_id} not found in Tixr`);
+
+  const { rows, tickets, removed } = await saveOrders(supabase, [fullOrder]);
+  console.log(`  💾 Saved ${rows} order items (${tickets} tickets) for order ${order_id}${removed ? `, flagged ${removed} removed item(s)` : ''}.`);
+
+  if (fullOrder.user_id) {
+    const { data: existingUser } = await supabase.from('events_users').select('event_ids').eq('user_id', fullOrder.user_id.toString()).single();
+    const existingEvents = existingUser?.event_ids || [];
+    const updatedEvents = Array.from(new Set([...existingEvents, fullOrder.event_id]));
+
+    const userPayload = {
+      user_id: fullOrder.user_id.toString(),
+      user_first_name: capitalize(fullOrder.first_name),
+      user_last_name: capitalize(fullOrder.lastname),
+      user_mail: fullOrder.email,
+      user_opt_in: fullOrder.opt_in,
+      user_city: fullOrder.geo_info?.city,
+      user_state: fullOrder.geo_info?.state,
+      user_country: fullOrder.geo_info?.country_code,
+      user_postal: fullOrder.geo_info?.postal_code,
+      event_ids: updatedEvents,
+    };
+    const { error: userError } = await supabase.from('events_users').upsert(userPayload, { onConflict: 'user_id' });
+    if (userError) throw new Error(`Failed to save user ${userPayload.user_id}: ${userError.message}`);
+    console.log(`  👥 Synced user profile for ${userPayload.user_first_name} ${userPayload.user_last_name}.`);
+  }
+
+  // 🔥 Trigger real-time sales aggregation 
+  await updateEventSalesAggregate(supabase, fullOrder.event_id);
+  return { message: 'Order synced and sales aggregated', eventId: fullOrder.event_id };
+}
+
+module.exports = {
+  processEventWebhook,
+  processOrderWebhook,
+  transformEventForDB,
+};
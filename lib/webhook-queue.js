@@ -0,0 +1,279 @@
+// lib/webhook-queue.js
+// Durable queue for incoming webhooks. The HTTP handler only persists the payload
+// (webhook_queue table, or a local JSONL journal if Supabase is unreachable) and
+// answers right away; a worker then processes items with retries and backoff.
+const fs = require('fs');
+const { computeBackoffDelay } = require('./retry');
+const { recordDeadLetter } = require('./dead-letter');
+const { processEventWebhook, processOrderWebhook } = require('./webhook-processor');
+
+const QUEUE_TABLE = 'webhook_queue';
+
+// How each kind of webhook is deduplicated and processed
+const WEBHOOK_KINDS = {
+  event: { dedupeKey: payload => payload.event_id, process: processEventWebhook },
+  order: { dedupeKey: payload => payload.order_id, process: processOrderWebhook },
+};
+
+const DEFAULT_WORKER_OPTIONS = {
+  intervalMs: 2000,
+  batchSize: 10,
+  maxAttempts: 8,
+  baseDelayMs: 5000,
+  maxDelayMs: 15 * 60 * 1000,
+  // An item left in `processing` this long belonged to a worker that died mid-way
+  stuckAfterMs: 10 * 60 * 1000,
+};
+
+// ==================== ENQUEUE ====================
+
+/**
+ * Persists a webhook. If an item for the same order/event is still waiting, its payload
+ * is refreshed instead of adding a duplicate: processing re-reads Tixr anyway, so one
+ * pass is enough for any number of notifications received in the meantime.
+ */
+async function enqueueWebhook(supabase, kind, payload, receivedAt = new Date().toISOString()) {
+  if (!WEBHOOK_KINDS[kind]) throw new Error(`Unknown webhook kind: ${kind}`);
+  const dedupeKey = String(WEBHOOK_KINDS[kind].dedupeKey(payload));
+
+  const { data: existing, error: findError } = await supabase
+    .from(QUEUE_TABLE)
+    .select('id')
+    .eq('kind', kind)
+    .eq('dedupe_key', dedupeKey)
+    .eq('status', 'pending')
+    .limit(1);
+  if (findError) throw new Error(`Failed to read webhook queue: ${findError.message}`);
+
+  if (existing.length > 0) {
+    const { error } = await supabase
+      .from(QUEUE_TABLE)
+      .update({ payload, received_at: receivedAt, updated_at: new Date().toISOString() })
+      .eq('id', existing[0].id);
+    if (error) throw new Error(`Failed to refresh queued webhook ${existing[0].id}: ${error.message}`);
+    return { id: existing[0].id, deduplicated: true };
+  }
+
+  const { data, error } = await supabase
+    .from(QUEUE_TABLE)
+    .insert({
+      kind,
+      dedupe_key: dedupeKey,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      received_at: receivedAt,
+    })
+    .select('id')
+    .single();
+  if (error) throw new Error(`Failed to queue webhook: ${error.message}`);
+  return { id: data.id, deduplicated: false };
+}
+
+// ==================== LOCAL JOURNAL ====================
+
+function appendToJournal(journalPath, kind, payload) {
+  const entry = { kind, payload, received_at: new Date().toISOString() };
+  fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Moves journaled webhooks into the queue table. The journal is renamed first so
+ * webhooks arriving during the flush go to a fresh file; entries that still can't be
+ * queued are appended back.
+ */
+async function flushJournal(supabase, journalPath) {
+  if (!fs.existsSync(journalPath)) return 0;
+  const flushingPath = `${journalPath}.flushing`;
+  if (!fs.existsSync(flushingPath)) fs.renameSync(journalPath, flushingPath);
+
+  const lines = fs.readFileSync(flushingPath, 'utf8').split('\n').filter(Boolean);
+  const leftovers = [];
+  let flushed = 0;
+
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      await enqueueWebhook(supabase, entry.kind, entry.payload, entry.received_at);
+      flushed++;
+    } catch (error) {
+      // Corrupt lines are dropped; only entries that failed to reach the database are kept
+      if (!(error instanceof SyntaxError)) leftovers.push(line);
+    }
+  }
+
+  if (leftovers.length > 0) fs.appendFileSync(journalPath, leftovers.join('\n') + '\n');
+  fs.unlinkSync(flushingPath);
+  return flushed;
+}
+
+// ==================== PROCESSING ====================
+
+async function claimDueItems(supabase, batchSize) {
+  const { data: due, error } = await supabase
+    .from(QUEUE_TABLE)
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('received_at', { ascending: true })
+    .limit(batchSize);
+  if (error) throw new Error(`Failed to read webhook queue: ${error.message}`);
+
+  const claimed = [];
+  for (const item of due) {
+    // Conditional update: only one worker can move an item out of `pending`
+    const { data, error: claimError } = await supabase
+      .from(QUEUE_TABLE)
+      .update({ status: 'processing', attempts: item.attempts + 1, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .eq('status', 'pending')
+      .select('*');
+    if (claimError) throw new Error(`Failed to claim webhook ${item.id}: ${claimError.message}`);
+    if (data.length > 0) claimed.push(data[0]);
+  }
+  return claimed;
+}
+
+async function resetStuckItems(supabase, stuckAfterMs) {
+  const cutoff = new Date(Date.now() - stuckAfterMs).toISOString();
+  const { data, error } = await supabase
+    .from(QUEUE_TABLE)
+    .update({ status: 'pending', updated_at: new Date().toISOString() })
+    .eq('status', 'processing')
+    .lt('updated_at', cutoff)
+    .select('id');
+  if (error) throw new Error(`Failed to reset stuck webhooks: ${error.message}`);
+  return data.length;
+}
+
+/**
+ * Runs one claimed item and records the outcome. A failure goes back to `pending`
+ * with an exponential delay until `maxAttempts`, then becomes `failed`.
+ * Returns `{ status, error }`.
+ */
+async function processQueueItem(ctx, item, options = {}) {
+  const { maxAttempts, baseDelayMs, maxDelayMs } = { ...DEFAULT_WORKER_OPTIONS, ...options };
+  const now = new Date().toISOString();
+
+  try {
+    await WEBHOOK_KINDS[item.kind].process(ctx, item.payload);
+    const { error } = await ctx.supabase
+      .from(QUEUE_TABLE)
+      .update({ status: 'done', processed_at: now, updated_at: now, last_error: null })
+      .eq('id', item.id);
+    if (error) console.error(`  ❌ Processed webhook ${item.id} but could not mark it done:`, error.message);
+    return { status: 'done', error: null };
+  } catch (error) {
+    const exhausted = item.attempts >= maxAttempts;
+    const delayMs = computeBackoffDelay(item.attempts, { baseDelayMs, maxDelayMs });
+    const update = exhausted
+      ? { status: 'failed', last_error: error.message, updated_at: now }
+      : { status: 'pending', last_error: error.message, updated_at: now, next_attempt_at: new Date(Date.now() + delayMs).toISOString() };
+
+    console.error(`  ❌ Webhook ${item.id} (${item.kind} ${item.dedupe_key}) attempt ${item.attempts}/${maxAttempts} failed: ${error.message}` +
+      (exhausted ? ' — giving up' : ` — retrying in ${Math.round(delayMs / 1000)}s`));
+
+    const { error: updateError } = await ctx.supabase.from(QUEUE_TABLE).update(update).eq('id', item.id);
+    if (updateError) console.error(`  ❌ Could not record failure for webhook ${item.id}:`, updateError.message);
+
+    if (exhausted) {
+      await recordDeadLetter(ctx.supabase, {
+        source: 'webhook-server',
+        kind: 'webhook',
+        ref: `${item.kind}:${item.dedupe_key}`,
+        payload: { queue_id: item.id, kind: item.kind, payload: item.payload },
+        error,
+        attempts: item.attempts,
+      });
+    }
+    return { status: update.status, error };
+  }
+}
+
+// ==================== WORKER ====================
+
+class WebhookWorker {
+  constructor(ctx, options = {}) {
+    this.ctx = ctx;
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_WORKER_OPTIONS, ...overrides };
+    this.timer = null;
+    this.running = false;
+    this.stats = { processed: 0, retried: 0, failed: 0, lastRunAt: null };
+  }
+
+  start() {
+    resetStuckItems(this.ctx.supabase, this.options.stuckAfterMs)
+      .then(count => { if (count > 0) console.log(`  🔁 Re-queued ${count} webhook(s) left in processing.`); })
+      .catch(error => console.error('  ❌', error.message));
+    this.timer = setInterval(() => this.tick(), this.options.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      if (this.options.journalPath) {
+        const flushed = await flushJournal(this.ctx.supabase, this.options.journalPath);
+        if (flushed > 0) console.log(`  📒 Moved ${flushed} journaled webhook(s) into the queue.`);
+      }
+
+      const items = await claimDueItems(this.ctx.supabase, this.options.batchSize);
+      for (const item of items) {
+        console.log(`\n⚙️  Processing queued webhook ${item.id} (${item.kind} ${item.dedupe_key}, attempt ${item.attempts})`);
+        const { status } = await processQueueItem(this.ctx, item, this.options);
+        if (status === 'done') this.stats.processed++;
+        else if (status === 'failed') this.stats.failed++;
+        else this.stats.retried++;
+      }
+      this.stats.lastRunAt = new Date().toISOString();
+    } catch (error) {
+      console.error('  ❌ Webhook worker error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// ==================== ADMIN ====================
+
+async function getQueueItem(supabase, id) {
+  const { data, error } = await supabase.from(QUEUE_TABLE).select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(`Failed to read webhook ${id}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Puts items back in `pending` with a fresh attempt budget, so the running worker picks
+ * them up. `filter` is either `{ ids: [...] }` or `{ status: 'failed' | 'done' }`.
+ */
+async function requeueItems(supabase, filter) {
+  let query = supabase
+    .from(QUEUE_TABLE)
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() });
+  query = filter.ids ? query.in('id', filter.ids) : query.eq('status', filter.status);
+  const { data, error } = await query.select('id');
+  if (error) throw new Error(`Failed to re-queue webhooks: ${error.message}`);
+  return data.length;
+}
+
+module.exports = {
+  QUEUE_TABLE,
+  WEBHOOK_KINDS,
+  DEFAULT_WORKER_OPTIONS,
+  enqueueWebhook,
+  appendToJournal,
+  flushJournal,
+  claimDueItems,
+  resetStuckItems,
+  processQueueItem,
+  WebhookWorker,
+  getQueueItem,
+  requeueItems,
+};
@@ -0,0 +1,147 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { getClassificationRules } = require('./lib/classification');
+const { LINEUP_TABLE, extractLineup, buildTimetable, saveEventLineup } = require('./lib/lineup');
+const { ACTIVE_STATUSES, eventTimeZone } = require('./lib/dates');
+
+// Event lineups (events_lineup, lib/lineup.js): sync them from the full Tixr events,
+// print an event's timetable, and report sales of every event an artist was billed on,
+// headliner or not.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+const time = (timestamp, timeZone) => (timestamp
+  ? new Date(timestamp).toLocaleTimeString('en-CA', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+  : '--:--');
+
+// ==================== COMMANDS ====================
+
+async function syncLineups(eventIds) {
+  const tixr = createTixrClientFromEnv();
+  let query = supabase.from('events').select('event_id, is_custom');
+  query = eventIds.length > 0 ? query.in('event_id', eventIds) : query.in('event_status', ACTIVE_STATUSES).is('event_removed_at', null);
+  const { data: events, error } = await query;
+  if (error) throw new Error(`Failed to read events: ${error.message}`);
+
+  const toSync = events.filter(e => e.is_custom !== true);
+  console.log(`🔄 Syncing lineups of ${toSync.length} event(s) from Tixr...`);
+  for (const event of toSync) {
+    try {
+      const lineup = extractLineup(await tixr.getEvent(event.event_id));
+      if (!lineup) {
+        console.log(`  ⚠️  Event ${event.event_id}: no lineup in the Tixr event`);
+        continue;
+      }
+      await saveEventLineup(supabase, event.event_id, lineup);
+      const { error: updateError } = await supabase
+        .from('events')
+        .update({ timetable: buildTimetable(lineup) })
+        .eq('event_id', event.event_id);
+      if (updateError) throw new Error(`Failed to update timetable: ${updateError.message}`);
+      console.log(`  ✅ Event ${event.event_id}: ${lineup.length} acts`);
+    } catch (err) {
+      console.error(`  ❌ Event ${event.event_id}: ${err.message}`);
+    }
+  }
+}
+
+async function showLineup(eventId) {
+  const [{ data: event, error: eventError }, { data: acts, error }] = await Promise.all([
+    supabase.from('events').select('event_name, event_date, venues(venue_timezone)').eq('event_id', eventId).maybeSingle(),
+    supabase.from(LINEUP_TABLE).select('*').eq('event_id', eventId).order('lineup_index').order('act_index'),
+  ]);
+  if (eventError) throw new Error(`Failed to read event: ${eventError.message}`);
+  if (error) throw new Error(`Failed to read ${LINEUP_TABLE}: ${error.message}`);
+
+  console.log(`\n🎤 ${event ? `${event.event_name} (${event.event_date})` : 'Unknown event'} — ID ${eventId}`);
+  const timetable = buildTimetable(acts);
+  if (!timetable) {
+    console.log('  No lineup yet; run "sync" first.');
+    return;
+  }
+  const timeZone = eventTimeZone(event);
+  for (const stage of timetable) {
+    console.log(`\n  ${stage.stage}`);
+    for (const act of stage.acts) {
+      console.log(`    ${time(act.start, timeZone)}–${time(act.end, timeZone)}  ${act.artist}${acts.find(a => a.artist_key === act.artist_key)?.is_headliner ? ' ★' : ''}`);
+    }
+  }
+}
+
+// `artist` is an artist_key ("tixr:123") or part of a billed name
+async function reportArtist(artist) {
+  let query = supabase.from(LINEUP_TABLE).select('event_id, artist_key, artist_name, act_rank, is_headliner');
+  query = /^(tixr|name):/.test(artist) ? query.eq('artist_key', artist) : query.ilike('artist_name', `%${artist}%`);
+  const { data: acts, error } = await query;
+  if (error) throw new Error(`Failed to read ${LINEUP_TABLE}: ${error.message}`);
+  if (acts.length === 0) {
+    console.log(`No event has "${artist}" on its lineup.`);
+    return;
+  }
+
+  const eventIds = [...new Set(acts.map(a => a.event_id))];
+  const [{ data: events, error: eventsError }, { data: sales, error: salesError }] = await Promise.all([
+    supabase.from('events').select('event_id, event_name, event_date').in('event_id', eventIds),
+    supabase.from('events_sales').select('*').in('event_id', eventIds),
+  ]);
+  if (eventsError) throw new Error(`Failed to read events: ${eventsError.message}`);
+  if (salesError) throw new Error(`Failed to read events_sales: ${salesError.message}`);
+
+  const ticketColumns = Object.keys(getClassificationRules().aggregates);
+  const salesByEvent = new Map(sales.map(s => [String(s.event_id), s]));
+  const names = [...new Set(acts.map(a => `${a.artist_name} (${a.artist_key})`))];
+  console.log(`\n🎤 ${names.join(', ')} — billed on ${eventIds.length} event(s)`);
+  console.log(`  ${'DATE'.padEnd(10)}  ${'BILLING'.padEnd(9)} ${'TICKETS'.padStart(8)} ${'GROSS'.padStart(14)}  EVENT`);
+
+  let totalTickets = 0;
+  let totalGross = 0;
+  for (const event of events.sort((a, b) => String(b.event_date).localeCompare(String(a.event_date)))) {
+    const act = acts.find(a => String(a.event_id) === String(event.event_id));
+    const row = salesByEvent.get(String(event.event_id));
+    const tickets = row ? ticketColumns.reduce((sum, column) => sum + (row[column] || 0), 0) : 0;
+    totalTickets += tickets;
+    totalGross += row?.sales_gross || 0;
+    const billing = act.is_headliner ? 'headliner' : `#${act.act_rank ?? '?'}`;
+    console.log(`  ${event.event_date}  ${billing.padEnd(9)} ${String(tickets).padStart(8)} ${money(row?.sales_gross).padStart(14)}  ${event.event_name}`);
+  }
+  console.log(`\n  Total: ${totalTickets} tickets, ${money(totalGross)} gross`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'sync':
+      await syncLineups(args);
+      break;
+    case 'show':
+      if (!args[0]) throw new Error('Usage: node lineup.js show <event_id>');
+      await showLineup(args[0]);
+      break;
+    case 'artist':
+      if (!args[0]) throw new Error('Usage: node lineup.js artist "<name>" | <artist_key>');
+      await reportArtist(args.join(' '));
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node lineup.js sync [event_id...]            - Sync lineups and timetables from Tixr (default: LIVE and ONGOING events)');
+      console.log('  node lineup.js show <event_id>               - Timetable of an event');
+      console.log('  node lineup.js artist "<name>" | <artist_key> - Sales of every event the artist was billed on');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
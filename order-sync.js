@@ -1,10 +1,10 @@
 const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-const crypto = require('crypto');
 require('dotenv').config();
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { classify } = require('./lib/classification');
 // Comment
 // --- CONFIGURATION ---
-const { SUPABASE_URL, SUPABASE_KEY, TIXR_GROUP_ID, TIXR_CPK, TIXR_SECRET_KEY } = process.env;
+const { SUPABASE_URL, SUPABASE_KEY, TIXR_CPK, TIXR_SECRET_KEY } = process.env;
 
 if (!SUPABASE_URL || !SUPABASE_KEY || !TIXR_CPK || !TIXR_SECRET_KEY) {
   console.error('❌ Missing .env variables.');
@@ -12,88 +12,7 @@ if (!SUPABASE_URL || !SUPABASE_KEY || !TIXR_CPK || !TIXR_SECRET_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-const TIXR_API_BASE = `https://studio.tixr.com/v1/groups/${TIXR_GROUP_ID}`;
-
-// =========================================================
-//  THE CLASSIFICATION ENGINE
-// ========================================================
-function getReportingCategory(item, refType, gross) {
-  const name = (item.name || "").toUpperCase();
-  const category = (item.category || "").toUpperCase();
-  const ref = (refType || "").toUpperCase();
-  
-  // Price Logic
-  const isFree = gross === 0;
-  const isPaid = gross > 0;
-  const isBackstage = ref === "BACKSTAGE";
-
-  // 1. COATCHECK (Overrides all)
-  if (category === 'OUTLET' && (name.includes('VESTIAIRE') || name.includes('COAT CHECK'))) {
-    return "COATCHECK";
-  }
-
-  // 2. TRANSFERS (Overrides all)
-  if (name.includes("TRANSFERT") || name.includes("TRANSFÉRÉ") || name.includes("TRANSFERE") || name.includes("REPORTÉ")) {
-    return "TRANSFERRED";
-  }
-
-  // 3. PROMOTERS (Overrides all)
-  if (name.includes("PROMOTER") || name.includes("PROMOTEUR")) {
-    return "PROMOTER";
-  }
-
-  // 4. PHYSICAL / DOOR TICKETS (Backstage Only)
-  if (isBackstage && isFree) {
-    // Tables
-    if (category.includes('TABLE') || category.includes('SERVICE')) {
-      if ((name.includes('BILLET PHYSIQUE') || name.includes('DOOR TABLE')) && name.includes('PREPAID') && !name.includes('PAY AT THE DOOR')) {
-        return "PHYSICAL_TABLE_PREPAID";
-      }
-      if ((name.includes('BILLET PHYSIQUE') || name.includes('DOOR')) && (name.includes('PAY AT THE DOOR') || name.includes('BUY AT DOOR')) && !name.includes('PREPAID')) {
-        return "PHYSICAL_TABLE_DOOR";
-      }
-    }
-    // Guestlist
-    if (category.includes('GUEST') && (name.includes('GUESTLIST') || name.includes('GL'))) {
-      return "PHYSICAL_GUESTLIST";
-    }
-    // GA
-    if (category === 'GA' && (name.includes('BILLET PHYSIQUE') || name.includes('HARD COPY') || name.includes('DOOR'))) {
-      return "DOOR_GA";
-    }
-    // VIP
-    if (category === 'VIP' && (name.includes('BILLET PHYSIQUE') || name.includes('HARD COPY') || name.includes('DOOR'))) {
-      return "DOOR_VIP";
-    }
-  }
-
-  // 5. COMPS (Internal/Backstage)
-  if (isFree && (name.includes("COMP") || name.includes("INVITÉ") || name.includes("INVITE") || 
-      name.includes("FAVEUR") || name.includes("INVITATION") || name.includes("CONCOURS") || 
-      name.includes("GIVEAWAY") || ref === "BACKSTAGE")) {
-        if (category === 'VIP') return "COMP_VIP";
-        return "COMP_GA";
-  }
-
-  // 6. FREE PUBLIC TICKETS (RSVP, $0 Buys Online)
-  if (isFree && !isBackstage) {
-    if (category === 'VIP') return "FREE_VIP";
-    return "FREE_GA"; // Covers GA and GUEST/RSVP
-  }
-
-  // 7. TABLES (Paid)
-  if (category.includes('TABLE') || category.includes('BOOTH') || name.includes('BANQUETTE') || category.includes('SEATED')) {
-    return "TABLES_RSVP";
-  }
-
-  // 8. STANDARD PAID
-  if (isPaid) {
-    if (category === 'VIP' || category === 'PHOTO') return "VIP_PAID";
-    return "GA_PAID";
-  }
-
-  return "UNCATEGORIZED";
-}
+const tixr = createTixrClientFromEnv();
 
 // =========================================================
 //  SYNC FUNCTION
@@ -106,15 +25,9 @@ async function syncEvent(eventId) {
   let totalTickets = 0;
 
   while (hasMore) {
-    // 1. Build Tixr Request
-    const path = `/events/${eventId}/orders`;
-    const params = { cpk: TIXR_CPK, t: Date.now(), page_number: page, page_size: 100 };
-    const sortedParams = Object.keys(params).sort().map(k => `${k}=${encodeURIComponent(params[k])}`).join('&');
-    const hash = crypto.createHmac('sha256', TIXR_SECRET_KEY).update(`/v1/groups/${TIXR_GROUP_ID}${path}?${sortedParams}`).digest('hex');
-    const url = `${TIXR_API_BASE}${path}?${sortedParams}&hash=${hash}`;
-
     try {
-      const { data: orders } = await axios.get(url);
+      // 1. Fetch one page from Tixr
+      const orders = await tixr.get(`/groups/${tixr.groupId}/events/${eventId}/orders`, { page_number: page, page_size: 100 });
       
       if (!orders || orders.length === 0) {
         hasMore = false;
@@ -162,7 +75,7 @@ async function syncEvent(eventId) {
 
             for (const ticket of tickets) {
               // CLASSIFY
-              const category = getReportingCategory(item, orderRef, unitPrice);
+              const category = classify({ name: item.name, category: item.category, refType: orderRef, gross: unitPrice });
 
               // Handle checkin time if available in ticket object
               // Note: Tixr Order API usually gives ticket status, but exact checkin time might need attendance API.
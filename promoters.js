@@ -0,0 +1,204 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { toCsv } = require('./lib/csv');
+const { PROMOTER_SALES_TABLE, UNRESOLVED_PROMOTER_ID, getPromoters, resolvePromoter } = require('./lib/promoters');
+
+// Promoter rollups from promoter_sales (kept up to date by the order webhook and
+// sync-sales.js; `node attribution.js build <event_id>` rebuilds an event) and the
+// payout statements sent to promoters. Promoters and commission rates are configured in
+// config/promoters.json.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+function describeCommission(commission) {
+  if (!commission) return 'none';
+  const parts = [];
+  if (commission.rate) parts.push(`${commission.rate * 100}% of ${commission.basis}`);
+  if (commission.perTicket) parts.push(`${money(commission.perTicket)}/ticket`);
+  return parts.join(' + ') || 'none';
+}
+
+// ==================== COMMANDS ====================
+
+function listPromoters() {
+  const directory = getPromoters();
+  console.log(`🤝 ${directory.promoters.length} promoter(s) in ${directory.path} (v${directory.version}), default commission ${describeCommission(directory.defaultCommission)}`);
+  for (const p of directory.promoters) {
+    const codes = [...directory.byPromoCode].filter(([, owner]) => owner === p).map(([code]) => code);
+    const refIds = [...directory.byRefId].filter(([, owner]) => owner === p).map(([refId]) => refId);
+    console.log(`\n  ${p.id} — ${p.name}`);
+    console.log(`    Commission:  ${describeCommission(p.commission)}`);
+    if (codes.length) console.log(`    Promo codes: ${codes.join(', ')}`);
+    if (refIds.length) console.log(`    Ref ids:     ${refIds.join(', ')}`);
+    if (p.nameAny.length) console.log(`    Item names:  ${p.nameAny.join(', ')}`);
+  }
+}
+
+async function printEventReport(eventId) {
+  const [{ data: event, error: eventError }, { data: rows, error }] = await Promise.all([
+    supabase.from('events').select('event_name, event_date').eq('event_id', eventId).maybeSingle(),
+    supabase.from(PROMOTER_SALES_TABLE).select('*').eq('event_id', eventId),
+  ]);
+  if (eventError) throw new Error(`Failed to read event: ${eventError.message}`);
+  if (error) throw new Error(`Failed to read ${PROMOTER_SALES_TABLE}: ${error.message}`);
+
+  console.log(`\n🤝 ${event ? `${event.event_name} (${event.event_date})` : 'Unknown event'} — ID ${eventId}`);
+  if (rows.length === 0) {
+    console.log('  No promoter sales for this event.');
+    return;
+  }
+  console.log(`  ${'PROMOTER'.padEnd(30)} ${'ORDERS'.padStart(7)} ${'TICKETS'.padStart(8)} ${'GROSS'.padStart(14)} ${'NET'.padStart(14)} ${'COMMISSION'.padStart(14)}`);
+  for (const r of rows.sort((a, b) => b.promoter_tickets - a.promoter_tickets)) {
+    const label = `${r.promoter_registered ? '' : '⚠️ '}${r.promoter_name}`.substring(0, 30);
+    console.log(`  ${label.padEnd(30)} ${String(r.promoter_orders).padStart(7)} ${String(r.promoter_tickets).padStart(8)} ${money(r.promoter_gross).padStart(14)} ${money(r.promoter_net).padStart(14)} ${money(r.commission_amount).padStart(14)}`);
+  }
+  if (rows.some(r => !r.promoter_registered)) {
+    console.log('\n  ⚠️  Unregistered promoters earn no commission; add them to config/promoters.json and rebuild.');
+  }
+}
+
+/**
+ * Writes one promoter's payout statement: a line per event (by event date, within the
+ * range) with tickets, revenue and commission, then the total.
+ */
+async function writeStatement(promoterId, { from, to, outDir }) {
+  const { data: rows, error } = await supabase
+    .from(PROMOTER_SALES_TABLE)
+    .select('*')
+    .eq('promoter_id', promoterId);
+  if (error) throw new Error(`Failed to read ${PROMOTER_SALES_TABLE}: ${error.message}`);
+
+  let eventsQuery = supabase
+    .from('events')
+    .select('event_id, event_name, event_date')
+    .in('event_id', rows.map(r => r.event_id));
+  if (from) eventsQuery = eventsQuery.gte('event_date', from);
+  if (to) eventsQuery = eventsQuery.lte('event_date', to);
+  const { data: events, error: eventsError } = await eventsQuery;
+  if (eventsError) throw new Error(`Failed to read events: ${eventsError.message}`);
+
+  const eventsById = new Map(events.map(e => [String(e.event_id), e]));
+  const lines = rows
+    .filter(r => eventsById.has(String(r.event_id)))
+    .map(r => ({ ...r, event: eventsById.get(String(r.event_id)) }))
+    .sort((a, b) => String(a.event.event_date).localeCompare(String(b.event.event_date)));
+
+  if (lines.length === 0) {
+    console.log(`⚠️  No sales for promoter ${promoterId}${from || to ? ` between ${from || 'the start'} and ${to || 'now'}` : ''}.`);
+    return;
+  }
+
+  const total = (column) => Math.round(lines.reduce((sum, l) => sum + (Number(l[column]) || 0), 0) * 100) / 100;
+  const header = ['event_date', 'event_id', 'event_name', 'orders', 'tickets', 'gross', 'net', 'commission_basis', 'commission_rate', 'commission_per_ticket', 'commission'];
+  const csvRows = lines.map(l => [
+    l.event.event_date, l.event_id, l.event.event_name, l.promoter_orders, l.promoter_tickets, l.promoter_gross,
+    l.promoter_net, l.commission_basis, l.commission_rate, l.commission_per_ticket, l.commission_amount,
+  ]);
+  csvRows.push(['TOTAL', '', '', total('promoter_orders'), total('promoter_tickets'), total('promoter_gross'), total('promoter_net'), '', '', '', total('commission_amount')]);
+
+  const fileName = `promoter_${promoterId.replace(/[^\w-]+/g, '_')}_statement${from ? `_${from}` : ''}${to ? `_${to}` : ''}.csv`;
+  fs.mkdirSync(outDir, { recursive: true });
+  const outPath = path.join(outDir, fileName);
+  fs.writeFileSync(outPath, toCsv(header, csvRows), 'utf8');
+
+  console.log(`🧾 ${lines[0].promoter_name}: ${lines.length} event(s), ${total('promoter_tickets')} tickets, ${money(total('promoter_net'))} net`);
+  console.log(`   Commission owed: ${money(total('commission_amount'))}`);
+  if (!lines[0].promoter_registered) console.log('   ⚠️  Not in config/promoters.json: no commission is computed.');
+  console.log(`   Statement written to ${outPath}`);
+}
+
+// PROMOTER items and promoter links that no configured promoter claims, to fill in the config.
+// Lines not classified yet (no order_reporting_category) are read too and classified here.
+async function listUnresolved(eventId) {
+  const directory = getPromoters();
+  const unresolved = new Map();
+
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from('events_orders')
+      .select('order_id, order_sales_item_name, order_category, order_gross, order_ref, order_ref_type, order_promo_code, order_reporting_category, order_quantity')
+      .eq('order_status', 'COMPLETE')
+      .is('order_removed_at', null)
+      .or('order_reporting_category.eq.PROMOTER,order_reporting_category.is.null,order_ref_type.in.(PROMOTER,AFFILIATE)')
+      .order('order_id', { ascending: true })
+      .order('order_sale_id', { ascending: true })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (eventId) query = query.eq('event_id', eventId);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read events_orders: ${error.message}`);
+
+    for (const row of data) {
+      const promoter = resolvePromoter(row, directory);
+      if (!promoter || promoter.registered) continue;
+      const key = promoter.id === UNRESOLVED_PROMOTER_ID ? `item: ${row.order_sales_item_name}` : `ref_id: ${row.order_ref} (${row.order_ref_type})`;
+      unresolved.set(key, (unresolved.get(key) || 0) + (row.order_quantity || 0));
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  if (unresolved.size === 0) {
+    console.log('✅ Every promoter sale resolves to a configured promoter.');
+    return;
+  }
+  console.log(`⚠️  ${unresolved.size} unclaimed promoter item(s) / link(s) — tickets:`);
+  for (const [key, tickets] of [...unresolved].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${String(tickets).padStart(6)}  ${key}`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'list':
+      listPromoters();
+      break;
+    case 'report':
+      if (!args[0]) throw new Error('Usage: node promoters.js report <event_id> [event_id...]');
+      for (const eventId of args) await printEventReport(eventId);
+      break;
+    case 'statement': {
+      const from = takeOption(args, '--from');
+      const to = takeOption(args, '--to');
+      const outDir = takeOption(args, '--out') || process.cwd();
+      if (!args[0]) throw new Error('Usage: node promoters.js statement <promoter_id> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out dir]');
+      await writeStatement(args[0], { from, to, outDir });
+      break;
+    }
+    case 'unresolved':
+      await listUnresolved(args[0]);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node promoters.js list                                  - Configured promoters and their commission');
+      console.log('  node promoters.js report <event_id...>                  - Tickets, revenue and commission per promoter');
+      console.log('  node promoters.js statement <promoter_id> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out dir]');
+      console.log('                                                          - Payout statement CSV');
+      console.log('  node promoters.js unresolved [event_id]                 - Promoter sales no configured promoter claims');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { getClassificationRules, classify } = require('./lib/classification');
+
+// Backfills the reporting category of events_orders (order_reporting_category) and
+// events_tickets (ticket_reporting_category) with the current classification rules.
+// Rows already stamped with the current rules version are skipped unless --all is given.
+// Rows are grouped by signature (name, category, ref, price) so each distinct item costs
+// one UPDATE rather than one per row. Order lines are classified on their share of the
+// order gross (order_line_gross), or on the order gross for lines written before it.
+// Tickets without a unit price cannot be classified on their own, and
+// `node backfill-tickets.js` does not touch them either, so they keep their category
+// until their order is synced again.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+
+// The classified columns of each table
+const TABLES = [
+  {
+    table: 'events_orders',
+    orderBy: ['order_id', 'order_sale_id'],
+    name: 'order_sales_item_name', category: 'order_category', refType: 'order_ref_type', gross: 'order_line_gross',
+    fallbackGross: 'order_gross',
+    result: 'order_reporting_category', version: 'order_classifier_version',
+    skipUnpriced: false,
+  },
+  {
+    table: 'events_tickets',
+    orderBy: ['order_id', 'order_sale_id', 'ticket_index'],
+    name: 'ticket_name', category: 'ticket_category', refType: 'ticket_ref_type', gross: 'ticket_unit_price',
+    fallbackGross: null,
+    result: 'ticket_reporting_category', version: 'ticket_classifier_version',
+    skipUnpriced: true,
+  },
+];
+
+// Only the sign of the gross matters to the rules
+function priceBucket(gross) {
+  if (gross === null || gross === undefined) return 'NULL';
+  if (gross > 0) return 'PAID';
+  return gross === 0 ? 'FREE' : 'NEGATIVE';
+}
+
+function staleOnly(query, spec, ruleset) {
+  return query.or(`${spec.version}.is.null,${spec.version}.neq.${ruleset.version}`);
+}
+
+async function collectSignatures(spec, ruleset, reclassifyAll) {
+  const signatures = new Map();
+  let scanned = 0;
+  let unpriced = 0;
+
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from(spec.table)
+      .select([spec.name, spec.category, spec.refType, spec.gross, spec.fallbackGross, spec.result].filter(Boolean).join(', '));
+    for (const column of spec.orderBy) query = query.order(column, { ascending: true });
+    query = query.range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (!reclassifyAll) query = staleOnly(query, spec, ruleset);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read ${spec.table}: ${error.message}`);
+
+    for (const row of data) {
+      const price = priceBucket(row[spec.gross]);
+      if (price === 'NULL' && spec.skipUnpriced) {
+        unpriced++;
+        continue;
+      }
+      const fallbackPrice = price === 'NULL' && spec.fallbackGross ? priceBucket(row[spec.fallbackGross]) : null;
+      const key = JSON.stringify([row[spec.name], row[spec.category], row[spec.refType], price, fallbackPrice]);
+      if (!signatures.has(key)) {
+        const gross = row[spec.gross] ?? (spec.fallbackGross ? row[spec.fallbackGross] : null);
+        const result = classify({ name: row[spec.name], category: row[spec.category], refType: row[spec.refType], gross }, ruleset);
+        signatures.set(key, { row, price, fallbackPrice, result, rows: 0, changed: 0 });
+      }
+      const signature = signatures.get(key);
+      signature.rows++;
+      if (row[spec.result] !== signature.result) signature.changed++;
+    }
+
+    scanned += data.length;
+    process.stdout.write(`\r🔍 ${spec.table}: scanned ${scanned} rows, ${signatures.size} signatures...`);
+    if (data.length < PAGE_SIZE) break;
+  }
+  console.log('');
+  if (unpriced > 0) console.log(`   ⚠️  ${unpriced} tickets have no unit price; they are reclassified when their order is synced again.`);
+  return Array.from(signatures.values());
+}
+
+// A column filter that also matches NULL, which .eq() does not
+function matchColumn(query, column, value) {
+  return value === null || value === undefined ? query.is(column, null) : query.eq(column, value);
+}
+
+// Filters `column` on a price bucket
+function matchPrice(query, column, price) {
+  if (price === 'NULL') return query.is(column, null);
+  if (price === 'PAID') return query.gt(column, 0);
+  if (price === 'FREE') return query.eq(column, 0);
+  return query.lt(column, 0);
+}
+
+async function applySignature(spec, signature, ruleset, reclassifyAll) {
+  const { row, price, fallbackPrice } = signature;
+  let query = supabase
+    .from(spec.table)
+    .update({ [spec.result]: signature.result, [spec.version]: ruleset.version });
+  query = matchColumn(query, spec.name, row[spec.name]);
+  query = matchColumn(query, spec.category, row[spec.category]);
+  query = matchColumn(query, spec.refType, row[spec.refType]);
+  query = matchPrice(query, spec.gross, price);
+  if (fallbackPrice) query = matchPrice(query, spec.fallbackGross, fallbackPrice);
+  if (!reclassifyAll) query = staleOnly(query, spec, ruleset);
+
+  const { error } = await query;
+  if (error) throw new Error(`Failed to update "${row[spec.name]}" in ${spec.table}: ${error.message}`);
+}
+
+async function reclassifyTable(spec, ruleset, { dryRun, reclassifyAll }) {
+  console.log(`\n🏷️  Reclassifying ${reclassifyAll ? 'all' : 'stale'} ${spec.table} rows with rules v${ruleset.version}${dryRun ? ' (dry run)' : ''}...`);
+  const signatures = await collectSignatures(spec, ruleset, reclassifyAll);
+  if (signatures.length === 0) {
+    console.log(`✅ Every ${spec.table} row is already classified with the current rules.`);
+    return;
+  }
+
+  const summary = {};
+  for (const s of signatures) {
+    summary[s.result] = summary[s.result] || { rows: 0, changed: 0 };
+    summary[s.result].rows += s.rows;
+    summary[s.result].changed += s.changed;
+  }
+  console.log('\n📊 Rows per category (changed = category differs from what is stored):');
+  console.table(summary);
+
+  if (dryRun) return;
+
+  for (let i = 0; i < signatures.length; i++) {
+    await applySignature(spec, signatures[i], ruleset, reclassifyAll);
+    process.stdout.write(`\r💾 Updated ${i + 1}/${signatures.length} signatures...`);
+  }
+  console.log(`\n✨ Stamped ${signatures.reduce((sum, s) => sum + s.rows, 0)} ${spec.table} rows with rules v${ruleset.version}.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { dryRun: args.includes('--dry-run'), reclassifyAll: args.includes('--all') };
+  const ruleset = getClassificationRules();
+  for (const spec of TABLES) await reclassifyTable(spec, ruleset, options);
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { fetchSalesInputs } = require('./lib/sales');
+const { DAILY_TABLE, ALL_CATEGORIES, buildPacing, savePacing, cumulativeAt } = require('./lib/pacing');
+const { ACTIVE_STATUSES, eventTimeZone, today, daysBetween } = require('./lib/dates');
+
+// Sales pacing curves from events_sales_daily / events_sales_hourly (lib/pacing.js):
+// rebuild them, print one event's curve, or line an upcoming event up against past
+// events with the same artist, genre or venue at the same number of days before the
+// show.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const CHECKPOINTS = [90, 60, 30, 21, 14, 7, 3, 1, 0];
+// events column that makes two events comparable, per --by value
+const COMPARE_KEYS = { artist: 'event_artist', genre: 'event_genre', venue: 'event_venue_id' };
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchEvent(eventId) {
+  const { data, error } = await supabase.from('events').select('*, venues(venue_timezone)').eq('event_id', eventId).maybeSingle();
+  if (error) throw new Error(`Failed to read event ${eventId}: ${error.message}`);
+  if (!data) throw new Error(`Event ${eventId} not found`);
+  return data;
+}
+
+// Daily rows of several events for one category, by date, grouped per event id
+async function fetchDailySeries(eventIds, category) {
+  const { data, error } = await supabase
+    .from(DAILY_TABLE)
+    .select('event_id, sales_date, days_before, sales_tickets, sales_cumulative_tickets, sales_cumulative_gross')
+    .in('event_id', eventIds)
+    .eq('sales_category', category)
+    .order('sales_date', { ascending: true });
+  if (error) throw new Error(`Failed to read ${DAILY_TABLE}: ${error.message}`);
+
+  const series = new Map(eventIds.map(id => [String(id), []]));
+  for (const row of data) series.get(String(row.event_id))?.push(row);
+  return series;
+}
+
+// ==================== COMMANDS ====================
+
+async function buildSeries(eventIds, { past }) {
+  let events;
+  if (eventIds.length > 0) {
+    events = await Promise.all(eventIds.map(fetchEvent));
+  } else {
+    const { data, error } = await supabase.from('events').select('event_id, event_date, is_custom, venues(venue_timezone)').in('event_status', past ? ['PAST'] : ACTIVE_STATUSES).is('event_removed_at', null);
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    events = data.filter(e => e.is_custom !== true);
+  }
+
+  console.log(`🔄 Rebuilding pacing series for ${events.length} event(s)...`);
+  for (const event of events) {
+    const pacing = buildPacing(event, await fetchSalesInputs(supabase, event.event_id));
+    await savePacing(supabase, event.event_id, pacing);
+    console.log(`  ✅ Event ${event.event_id}: ${pacing.daily.length} daily and ${pacing.hourly.length} hourly rows`);
+  }
+}
+
+async function showSeries(eventId, category) {
+  const event = await fetchEvent(eventId);
+  const series = (await fetchDailySeries([event.event_id], category)).get(String(event.event_id));
+
+  console.log(`\n📈 ${event.event_name} (${event.event_date}) — ${category}`);
+  if (series.length === 0) {
+    console.log('  No pacing rows yet; run "build" first.');
+    return;
+  }
+  console.log(`  ${'DATE'.padEnd(10)} ${'DAYS'.padStart(5)} ${'SOLD'.padStart(6)} ${'TOTAL'.padStart(7)}`);
+  for (const row of series) {
+    console.log(`  ${row.sales_date} ${String(row.days_before ?? '').padStart(5)} ${String(row.sales_tickets).padStart(6)} ${String(row.sales_cumulative_tickets).padStart(7)}`);
+  }
+}
+
+async function comparePacing(eventId, { by, category }) {
+  const column = COMPARE_KEYS[by];
+  if (!column) throw new Error(`Unknown --by "${by}" (${Object.keys(COMPARE_KEYS).join(', ')})`);
+
+  const event = await fetchEvent(eventId);
+  if (!event[column]) throw new Error(`Event ${eventId} has no ${column}`);
+
+  const { data: others, error } = await supabase
+    .from('events')
+    .select('event_id, event_name, event_date')
+    .eq(column, event[column])
+    .neq('event_id', event.event_id)
+    .lt('event_date', event.event_date)
+    .order('event_date', { ascending: false });
+  if (error) throw new Error(`Failed to read events: ${error.message}`);
+
+  console.log(`\n🏁 ${event.event_name} (${event.event_date}) vs ${others.length} past event(s) with ${by} "${event[column]}" — ${category} tickets sold by days before show`);
+  if (others.length === 0) return;
+
+  const series = await fetchDailySeries([event.event_id, ...others.map(e => e.event_id)], category);
+  const daysLeft = daysBetween(today(eventTimeZone(event)), event.event_date);
+  const cell = (value) => String(value).padStart(6);
+
+  console.log(`  ${'EVENT'.padEnd(40)} ${CHECKPOINTS.map(d => cell(`D-${d}`)).join(' ')}`);
+  const targetRow = CHECKPOINTS.map(d => (d >= daysLeft ? cumulativeAt(series.get(String(event.event_id)), d) : '-'));
+  console.log(`  ${`▶ ${event.event_date} ${event.event_name}`.substring(0, 40).padEnd(40)} ${targetRow.map(cell).join(' ')}`);
+
+  const pastRows = others.map(other => {
+    const values = CHECKPOINTS.map(d => cumulativeAt(series.get(String(other.event_id)), d));
+    console.log(`  ${`${other.event_date} ${other.event_name}`.substring(0, 40).padEnd(40)} ${values.map(cell).join(' ')}`);
+    return values;
+  });
+  const averages = CHECKPOINTS.map((_, i) => Math.round(pastRows.reduce((sum, values) => sum + values[i], 0) / pastRows.length));
+  console.log(`  ${'Average of past events'.padEnd(40)} ${averages.map(cell).join(' ')}`);
+
+  // Where the upcoming event stands against the past average at the same point
+  if (daysLeft >= 0) {
+    const current = cumulativeAt(series.get(String(event.event_id)), daysLeft);
+    const average = Math.round(others.reduce((sum, other) => sum + cumulativeAt(series.get(String(other.event_id)), daysLeft), 0) / others.length);
+    if (average > 0) {
+      console.log(`\n  📊 ${daysLeft} day(s) out: ${current} sold vs ${average} on average (${Math.round(current / average * 100)}% of pace)`);
+    }
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'build':
+      await buildSeries(args.filter(arg => arg !== '--past'), { past: args.includes('--past') });
+      break;
+    case 'show':
+      if (!args[0]) throw new Error('Usage: node sales-pacing.js show <event_id> [category]');
+      await showSeries(args[0], args[1] || ALL_CATEGORIES);
+      break;
+    case 'compare': {
+      const by = takeOption(args, '--by') || 'artist';
+      const category = takeOption(args, '--category') || ALL_CATEGORIES;
+      if (!args[0]) throw new Error('Usage: node sales-pacing.js compare <event_id> [--by artist|genre|venue] [--category GA_PAID]');
+      await comparePacing(args[0], { by, category });
+      break;
+    }
+    default:
+      console.log('Usage:');
+      console.log('  node sales-pacing.js build [event_id...]                          - Rebuild daily/hourly series (default: LIVE and ONGOING events)');
+      console.log('  node sales-pacing.js build --past                                 - Backfill the series of every PAST event');
+      console.log('  node sales-pacing.js show <event_id> [category]                   - Daily curve of one event (default: ALL)');
+      console.log('  node sales-pacing.js compare <event_id> [--by artist|genre|venue] [--category GA_PAID]');
+      console.log('                                                                    - Pacing vs past events at the same days before show');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
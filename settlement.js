@@ -0,0 +1,67 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+// Prints the money side of events_sales for artist settlement: gross, fees, taxes,
+// discounts, refunds and net, as aggregated by sync-sales.js and the order webhook.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const SETTLEMENT_LINES = [
+  ['Gross sales', 'sales_gross'],
+  ['  Service fees', 'sales_service_fees'],
+  ['  Facility fees', 'sales_facility_fees'],
+  ['  Processing fees', 'sales_processing_fees'],
+  ['Total fees', 'sales_fees'],
+  ['  GST / TPS', 'sales_gst'],
+  ['  QST / TVQ', 'sales_qst'],
+  ['Total taxes', 'sales_taxes'],
+  ['Discounts', 'sales_discounts'],
+  ['Refunds', 'sales_refunds'],
+  ['Net', 'sales_net'],
+];
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+
+async function printSettlement(eventIds) {
+  const [{ data: events, error: eventsError }, { data: sales, error: salesError }] = await Promise.all([
+    supabase.from('events').select('event_id, event_name, event_date, event_sales_updated').in('event_id', eventIds),
+    supabase.from('events_sales').select('*').in('event_id', eventIds),
+  ]);
+  if (eventsError) throw new Error(`Failed to read events: ${eventsError.message}`);
+  if (salesError) throw new Error(`Failed to read events_sales: ${salesError.message}`);
+
+  const salesByEvent = new Map(sales.map(s => [String(s.event_id), s]));
+  for (const eventId of eventIds) {
+    const event = events.find(e => String(e.event_id) === String(eventId));
+    const row = salesByEvent.get(String(eventId));
+    console.log(`\n💵 ${event ? `${event.event_name} (${event.event_date})` : 'Unknown event'} — ID ${eventId}`);
+    if (!row) {
+      console.log('  ⚠️  No events_sales row yet; run sync-sales.js first.');
+      continue;
+    }
+    for (const [label, column] of SETTLEMENT_LINES) console.log(`  ${label.padEnd(20)} ${money(row[column]).padStart(14)}`);
+    if (event?.event_sales_updated) console.log(`  (aggregated ${event.event_sales_updated})`);
+  }
+}
+
+async function main() {
+  const eventIds = process.argv.slice(2);
+  if (eventIds.length === 0) {
+    console.log('Usage:');
+    console.log('  node settlement.js <event_id> [event_id...]  - Fee, tax and payout breakdown per event');
+    process.exit(1);
+  }
+  await printSettlement(eventIds);
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
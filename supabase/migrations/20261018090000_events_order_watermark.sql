@@ -0,0 +1,9 @@
+-- Per-event high-water mark for the incremental order sync (sync-orders.js).
+alter table events
+  add column if not exists event_order_watermark timestamptz,
+  add column if not exists event_order_watermark_id text,
+  add column if not exists event_order_full_sync timestamptz;
+
+comment on column events.event_order_watermark is 'purchase_date of the newest order seen by sync-orders.js';
+comment on column events.event_order_watermark_id is 'order_id of the order at event_order_watermark';
+comment on column events.event_order_full_sync is 'Last time every order of the event was re-downloaded';
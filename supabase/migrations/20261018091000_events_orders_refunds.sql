@@ -0,0 +1,17 @@
+-- Refund / chargeback tracking on order lines (lib/orders.js).
+alter table events_orders
+  add column if not exists order_refund_type text,
+  add column if not exists order_refund_amount numeric not null default 0,
+  add column if not exists order_refund_date timestamptz,
+  add column if not exists order_removed_at timestamptz;
+
+comment on column events_orders.order_refund_type is 'REFUND, PARTIAL_REFUND or CHARGEBACK; null when nothing was refunded';
+comment on column events_orders.order_refund_amount is 'Order-level refunded amount, repeated on every line of the order';
+comment on column events_orders.order_removed_at is 'Set when the sale item disappeared from the Tixr order (soft delete)';
+
+create index if not exists events_orders_event_kept_idx
+  on events_orders (event_id)
+  where order_removed_at is null;
+
+alter table events_sales
+  add column if not exists sales_refunds numeric not null default 0;
@@ -0,0 +1,24 @@
+-- Durable queue for incoming webhooks (lib/webhook-queue.js).
+create table if not exists webhook_queue (
+  id bigint generated always as identity primary key,
+  kind text not null check (kind in ('event', 'order')),
+  dedupe_key text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'processing', 'done', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+comment on column webhook_queue.dedupe_key is 'order_id or event_id; a new webhook for a key that is still pending refreshes that row';
+
+create index if not exists webhook_queue_due_idx
+  on webhook_queue (next_attempt_at)
+  where status = 'pending';
+
+create index if not exists webhook_queue_dedupe_idx
+  on webhook_queue (kind, dedupe_key)
+  where status = 'pending';
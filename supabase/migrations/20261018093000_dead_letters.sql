@@ -0,0 +1,22 @@
+-- Failed webhook and sync work kept for inspection and retry (lib/dead-letter.js).
+create table if not exists dead_letters (
+  id bigint generated always as identity primary key,
+  source text not null,
+  kind text not null,
+  ref text,
+  payload jsonb not null default '{}'::jsonb,
+  error text,
+  attempts integer not null default 1,
+  status text not null default 'open' check (status in ('open', 'retried', 'resolved', 'discarded')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+
+comment on column dead_letters.source is 'Script that gave up: webhook-server, sync-orders, sync-events, sync-sales, enrich-users';
+comment on column dead_letters.kind is 'How dead-letter.js retries it: webhook, db_batch, order_sync_event, sales_aggregate';
+comment on column dead_letters.ref is 'Event id, table name or webhook key, for searching';
+
+create index if not exists dead_letters_open_idx
+  on dead_letters (created_at)
+  where status = 'open';
@@ -0,0 +1,10 @@
+-- Reporting category stamped on every order line at write time (lib/classification.js).
+alter table events_orders
+  add column if not exists order_reporting_category text,
+  add column if not exists order_classifier_version integer;
+
+comment on column events_orders.order_reporting_category is 'Category from config/classification-rules.json (GA_PAID, COMP_VIP, COATCHECK...)';
+comment on column events_orders.order_classifier_version is 'Rules version that produced order_reporting_category; reclassify-orders.js rewrites older ones';
+
+create index if not exists events_orders_classifier_version_idx
+  on events_orders (order_classifier_version);
@@ -0,0 +1,32 @@
+-- One row per ticket, next to the per-sale-item events_orders rows (lib/orders.js).
+-- Bundles carry several tickets on one sale item; each ticket gets its share of the
+-- item total as ticket_unit_price.
+create table if not exists events_tickets (
+  order_id bigint not null,
+  order_sale_id bigint not null,
+  ticket_index integer not null,
+  event_id bigint not null,
+  ticket_serial text,
+  ticket_status text,
+  ticket_tier_id bigint,
+  ticket_name text,
+  ticket_category text,
+  ticket_ref_type text,
+  ticket_unit_price numeric,
+  ticket_order_status text,
+  ticket_purchase_date timestamptz,
+  ticket_reporting_category text,
+  ticket_classifier_version integer,
+  ticket_removed_at timestamptz,
+  primary key (order_id, order_sale_id, ticket_index)
+);
+
+comment on column events_tickets.ticket_unit_price is 'Sale item total divided by its number of tickets; null when Tixr sent no item total';
+comment on column events_tickets.ticket_removed_at is 'Set when the ticket disappeared from the Tixr order (soft delete)';
+
+create index if not exists events_tickets_event_kept_idx
+  on events_tickets (event_id)
+  where ticket_removed_at is null;
+
+create index if not exists events_tickets_serial_idx
+  on events_tickets (ticket_serial);
@@ -0,0 +1,9 @@
+-- Each sale item's share of the order totals (lib/orders.js allocateOrderAmounts).
+-- order_gross / order_net keep the order-level figures repeated on every line.
+alter table events_orders
+  add column if not exists order_line_gross numeric,
+  add column if not exists order_line_net numeric,
+  add column if not exists order_line_fees numeric,
+  add column if not exists order_line_taxes numeric;
+
+comment on column events_orders.order_line_gross is 'Share of the order gross, split by item totals (quantities when Tixr sends none); lines of an order add up to order_gross';
@@ -0,0 +1,22 @@
+-- Fee, tax and discount breakdown per order line and per event (lib/orders.js, lib/sales.js).
+alter table events_orders
+  add column if not exists order_line_service_fees numeric,
+  add column if not exists order_line_facility_fees numeric,
+  add column if not exists order_line_processing_fees numeric,
+  add column if not exists order_line_gst numeric,
+  add column if not exists order_line_qst numeric,
+  add column if not exists order_line_discounts numeric;
+
+alter table events_sales
+  add column if not exists sales_fees numeric not null default 0,
+  add column if not exists sales_taxes numeric not null default 0,
+  add column if not exists sales_service_fees numeric not null default 0,
+  add column if not exists sales_facility_fees numeric not null default 0,
+  add column if not exists sales_processing_fees numeric not null default 0,
+  add column if not exists sales_gst numeric not null default 0,
+  add column if not exists sales_qst numeric not null default 0,
+  add column if not exists sales_discounts numeric not null default 0;
+
+comment on column events_sales.sales_fees is 'All fees on COMPLETE orders; service + facility + processing when Tixr sends no total';
+comment on column events_sales.sales_taxes is 'GST + QST (or Tixr''s tax total) on COMPLETE orders';
+comment on column events_sales.sales_discounts is 'Discounts as a positive amount';
@@ -0,0 +1,26 @@
+-- Per-event sales attribution (lib/attribution.js), rebuilt with events_sales by the
+-- order webhook and sync-sales.js.
+alter table events_orders
+  add column if not exists order_promo_code text;
+
+create index if not exists events_orders_promo_code_idx
+  on events_orders (order_promo_code)
+  where order_promo_code is not null;
+
+create table if not exists events_attribution (
+  event_id bigint not null,
+  attribution_type text not null check (attribution_type in ('ref_type', 'ref_id', 'promo_code', 'promoter')),
+  attribution_value text not null,
+  attribution_orders integer not null default 0,
+  attribution_tickets integer not null default 0,
+  attribution_gross numeric not null default 0,
+  attribution_net numeric not null default 0,
+  attribution_updated timestamptz not null default now(),
+  primary key (event_id, attribution_type, attribution_value)
+);
+
+create index if not exists events_attribution_type_value_idx
+  on events_attribution (attribution_type, attribution_value);
+
+comment on column events_attribution.attribution_value is 'ref_type (DIRECT, SOCIAL...), "<ref_type>:<ref_id>", promo code, or promoter ref_id';
+comment on column events_attribution.attribution_tickets is 'Sum of order_quantity of the credited COMPLETE lines';
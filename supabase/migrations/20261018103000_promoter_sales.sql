@@ -0,0 +1,26 @@
+-- Tickets, revenue and commission per promoter and event (lib/promoters.js), rebuilt
+-- with events_sales by the order webhook and sync-sales.js. Promoters and their rates
+-- are configured in config/promoters.json.
+create table if not exists promoter_sales (
+  event_id bigint not null,
+  promoter_id text not null,
+  promoter_name text,
+  promoter_registered boolean not null default false,
+  promoter_orders integer not null default 0,
+  promoter_tickets integer not null default 0,
+  promoter_gross numeric not null default 0,
+  promoter_net numeric not null default 0,
+  commission_basis text check (commission_basis in ('net', 'gross')),
+  commission_rate numeric,
+  commission_per_ticket numeric,
+  commission_amount numeric not null default 0,
+  promoters_version integer,
+  promoter_sales_updated timestamptz not null default now(),
+  primary key (event_id, promoter_id)
+);
+
+comment on column promoter_sales.promoter_id is 'Id from config/promoters.json, "ref:<ref_id>" for an unknown promoter link, or "unresolved"';
+comment on column promoter_sales.commission_amount is 'basis amount x rate + tickets x per ticket, with the rates in effect when the row was built; 0 for unregistered promoters';
+
+create index if not exists promoter_sales_promoter_idx
+  on promoter_sales (promoter_id);
@@ -0,0 +1,36 @@
+-- Sales pacing time series (lib/pacing.js), rebuilt from events_orders.order_purchase_date
+-- by sync-sales.js and sales-pacing.js. sales_category is the reporting category, ALL, or
+-- TICKETS (the categories that count toward capacity).
+create table if not exists events_sales_daily (
+  event_id bigint not null,
+  sales_date date not null,
+  days_before integer,
+  sales_category text not null,
+  sales_tickets integer not null default 0,
+  sales_gross numeric not null default 0,
+  sales_net numeric not null default 0,
+  sales_cumulative_tickets integer not null default 0,
+  sales_cumulative_gross numeric not null default 0,
+  sales_cumulative_net numeric not null default 0,
+  sales_series_updated timestamptz not null default now(),
+  primary key (event_id, sales_date, sales_category)
+);
+
+comment on column events_sales_daily.sales_date is 'Purchase day in the venue''s time zone';
+comment on column events_sales_daily.days_before is 'Days from sales_date to event_date; 0 on show day, negative after it';
+
+create index if not exists events_sales_daily_days_before_idx
+  on events_sales_daily (sales_category, days_before);
+
+-- Show week only: purchases made at most 7 days before event_date
+create table if not exists events_sales_hourly (
+  event_id bigint not null,
+  sales_hour timestamptz not null,
+  days_before integer,
+  sales_category text not null,
+  sales_tickets integer not null default 0,
+  sales_gross numeric not null default 0,
+  sales_net numeric not null default 0,
+  sales_series_updated timestamptz not null default now(),
+  primary key (event_id, sales_hour, sales_category)
+);
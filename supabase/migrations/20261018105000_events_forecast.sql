@@ -0,0 +1,29 @@
+-- Sell-out forecast of LIVE events (forecast-sales.js, lib/forecast.js). One row per
+-- event and category (TICKETS, GA_PAID, VIP_PAID), replaced on every run: categories
+-- that no longer get a forecast are deleted.
+alter table events
+  add column if not exists event_capacity integer;
+
+comment on column events.event_capacity is 'Tickets that can be sold for the event, comps included; set by hand';
+
+create table if not exists events_forecast (
+  event_id bigint not null,
+  forecast_category text not null,
+  days_before integer not null,
+  current_tickets integer not null default 0,
+  projected_tickets integer,
+  projected_low integer,
+  projected_high integer,
+  sample_size integer not null default 0,
+  capacity integer,
+  sellout_date date,
+  sellout_probability numeric,
+  forecast_basis text check (forecast_basis in ('artist', 'all')),
+  forecast_created timestamptz not null default now(),
+  primary key (event_id, forecast_category)
+);
+
+comment on column events_forecast.projected_low is '10th percentile of the projections from past events';
+comment on column events_forecast.projected_high is '90th percentile of the projections from past events';
+comment on column events_forecast.sellout_probability is 'Share of past-event projections reaching capacity (TICKETS only)';
+comment on column events_forecast.forecast_basis is 'artist: past events of the same artist; all: every past event';
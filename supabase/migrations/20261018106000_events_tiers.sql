@@ -0,0 +1,32 @@
+-- Ticket tiers per event (lib/tiers.js), from the Tixr event payload (sync-events.js,
+-- the event webhook, tiers.js sync). tier_sold_tickets is kept up to date with
+-- events_sales by the order webhook and sync-sales.js.
+create table if not exists events_tiers (
+  event_id bigint not null,
+  tier_id bigint not null,
+  tier_sale_id bigint,
+  tier_sale_name text,
+  tier_name text,
+  tier_price numeric,
+  tier_capacity integer,
+  tier_sold_tixr integer,
+  tier_sold_tickets integer not null default 0,
+  tier_remaining integer generated always as (
+    greatest(tier_capacity - coalesce(tier_sold_tixr, tier_sold_tickets), 0)
+  ) stored,
+  tier_start timestamptz,
+  tier_end timestamptz,
+  tier_status text,
+  tier_removed_at timestamptz,
+  tier_updated timestamptz not null default now(),
+  primary key (event_id, tier_id)
+);
+
+comment on column events_tiers.tier_sold_tixr is 'Sold count as reported by Tixr, when the payload has one';
+comment on column events_tiers.tier_sold_tickets is 'COMPLETE, non-removed events_tickets rows with this tier';
+comment on column events_tiers.tier_remaining is 'Null when the capacity is unknown';
+comment on column events_tiers.tier_removed_at is 'Set when the tier disappeared from the Tixr event (soft delete)';
+
+create index if not exists events_tickets_tier_idx
+  on events_tickets (event_id, ticket_tier_id)
+  where ticket_removed_at is null;
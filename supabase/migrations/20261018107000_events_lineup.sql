@@ -0,0 +1,23 @@
+-- Every billed act of an event (lib/lineup.js), from the Tixr lineups, replaced on each
+-- event sync / event webhook. events.event_artist stays the headliner.
+create table if not exists events_lineup (
+  event_id bigint not null,
+  lineup_index integer not null,
+  act_index integer not null,
+  lineup_name text,
+  stage text,
+  artist_key text not null,
+  artist_tixr_id bigint,
+  artist_name text not null,
+  act_rank integer,
+  set_start timestamptz,
+  set_end timestamptz,
+  is_headliner boolean not null default false,
+  primary key (event_id, lineup_index, act_index)
+);
+
+comment on column events_lineup.artist_key is 'Stable artist id: "tixr:<artist id>", or "name:<normalized name>" when Tixr has none';
+comment on column events_lineup.act_index is 'Position in the lineup by rank';
+
+create index if not exists events_lineup_artist_idx
+  on events_lineup (artist_key);
@@ -0,0 +1,43 @@
+-- Canonical artists with their aliases (lib/artists.js), and the names waiting for
+-- review in artists.js. events.event_artist keeps the raw extracted name.
+create table if not exists artists (
+  artist_id bigint generated always as identity primary key,
+  artist_name text not null,
+  artist_tixr_id bigint unique,
+  artist_created timestamptz not null default now()
+);
+
+create table if not exists artist_aliases (
+  alias_key text primary key,
+  alias_name text not null,
+  artist_id bigint not null references artists (artist_id) on delete cascade,
+  alias_source text not null default 'manual' check (alias_source in ('canonical', 'manual', 'suggestion', 'merge')),
+  alias_created timestamptz not null default now()
+);
+
+comment on column artist_aliases.alias_key is 'Uppercase, accents and punctuation removed: "Dj Snake - Live!" -> "DJ SNAKE LIVE"';
+
+create index if not exists artist_aliases_artist_idx
+  on artist_aliases (artist_id);
+
+create table if not exists artist_candidates (
+  candidate_key text primary key,
+  candidate_name text not null,
+  candidate_status text not null default 'open' check (candidate_status in ('open', 'resolved', 'ignored')),
+  candidate_event_ids bigint[] not null default '{}',
+  suggested_artist_id bigint references artists (artist_id) on delete set null,
+  suggested_score numeric,
+  candidate_last_seen timestamptz not null default now()
+);
+
+alter table events
+  add column if not exists event_artist_id bigint references artists (artist_id) on delete set null;
+
+alter table events_lineup
+  add column if not exists artist_id bigint references artists (artist_id) on delete set null;
+
+create index if not exists events_artist_id_idx
+  on events (event_artist_id);
+
+create index if not exists events_lineup_artist_id_idx
+  on events_lineup (artist_id);
@@ -0,0 +1,20 @@
+-- Rooms events are held in (lib/venues.js, config/venues.json), written by the event
+-- sync and the event webhook before the events that reference them.
+create table if not exists venues (
+  venue_id text primary key,
+  venue_name text not null,
+  venue_capacity integer,
+  venue_tixr_id text,
+  venue_city text,
+  venue_source text not null default 'config' check (venue_source in ('config', 'tixr')),
+  venue_updated timestamptz not null default now()
+);
+
+comment on column venues.venue_id is 'Room id from config/venues.json, or "tixr:<id>" for a Tixr venue listed in no room';
+comment on column venues.venue_capacity is 'Sellable capacity of the room, as Tixr gives it for the venue';
+
+alter table events
+  add column if not exists event_venue_id text references venues (venue_id) on delete set null;
+
+create index if not exists events_venue_id_idx
+  on events (event_venue_id);
@@ -0,0 +1,6 @@
+-- Time zone of a venue (lib/dates.js): event days, LIVE/PAST cutoffs and pacing days of
+-- its events are computed in it. Null means the default, America/Montreal.
+alter table venues
+  add column if not exists venue_timezone text;
+
+comment on column venues.venue_timezone is 'IANA time zone, from config/venues.json or Tixr; null for the default America/Montreal';
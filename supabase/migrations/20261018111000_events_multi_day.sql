@@ -0,0 +1,25 @@
+-- Multi-day events (lib/dates.js, lib/festival-days.js). event_status can now also be
+-- ONGOING: a multi-day event between the start of its first day and the cutoff after
+-- its last day.
+alter table events
+  add column if not exists event_end_date date;
+
+comment on column events.event_end_date is 'Business day the event ends on (04:00 cutoff, venue time zone); equals event_date for single-day events';
+
+-- Per-day sales and attendance of multi-day events, one row per event day. Day tickets
+-- count on the days they name; passes count on every day with their price split evenly.
+create table if not exists events_sales_days (
+  event_id bigint not null,
+  event_day date not null,
+  day_index int not null,
+  tickets_day int not null default 0,
+  tickets_pass int not null default 0,
+  tickets_total int not null default 0,
+  gross_allocated numeric not null default 0,
+  sales_days_updated timestamptz,
+  attendance_scanned int,
+  attendance_updated timestamptz,
+  primary key (event_id, event_day)
+);
+
+comment on column events_sales_days.attendance_scanned is 'Distinct tickets checked in on the business day, from the Tixr attendance history; null until fetched';
@@ -0,0 +1,29 @@
+-- Lifecycle state of events (lib/event-state.js), next to the LIVE/ONGOING/PAST
+-- event_status: DRAFT, ANNOUNCED, ON_SALE, SOLD_OUT, POSTPONED, CANCELLED or ARCHIVED.
+-- Events removed or unpublished in Tixr are flagged instead of deleted.
+alter table events
+  add column if not exists event_state text,
+  add column if not exists event_state_reason text,
+  add column if not exists event_state_updated timestamptz,
+  add column if not exists event_removed_at timestamptz;
+
+comment on column events.event_state is 'DRAFT, ANNOUNCED, ON_SALE, SOLD_OUT, POSTPONED, CANCELLED or ARCHIVED, from Tixr fields, tiers and our rules';
+comment on column events.event_state_reason is 'Why the event is in event_state, e.g. "every tier sold out"';
+comment on column events.event_state_updated is 'When event_state last changed';
+comment on column events.event_removed_at is 'Set when the event was unpublished or removed from Tixr (soft delete)';
+
+-- Every event_state change, inserted by sync-events.js and the webhook
+create table if not exists events_status_history (
+  history_id bigint generated always as identity primary key,
+  event_id bigint not null,
+  state_from text,
+  state_to text not null,
+  state_reason text,
+  state_changed_at timestamptz not null default now()
+);
+
+create index if not exists events_status_history_event_idx
+  on events_status_history (event_id, state_changed_at);
+
+create index if not exists events_status_history_changed_idx
+  on events_status_history (state_changed_at);
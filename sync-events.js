@@ -1,6 +1,27 @@
 const { createClient } = require("@supabase/supabase-js");
-const axios = require("axios");
-const crypto = require("crypto");
+const { createTixrClientFromEnv } = require("./lib/tixr-client");
+const { recordDeadLetter } = require("./lib/dead-letter");
+const { extractEventTiers, saveEventTiers } = require("./lib/tiers");
+const { extractLineup, buildTimetable, saveEventLineup } = require("./lib/lineup");
+const { linkEventArtists, linkLineupArtists } = require("./lib/artists");
+const { classifyTixrEvent } = require("./lib/event-tags");
+const { resolveVenue, venueNamePatterns, saveVenues } = require("./lib/venues");
+const {
+  deriveEventState,
+  pastEventState,
+  removedEventState,
+  fetchEventStates,
+  applyEventState,
+  recordStateChanges,
+} = require("./lib/event-state");
+const {
+  DEFAULT_TIME_ZONE,
+  ACTIVE_STATUSES,
+  eventTimeZone,
+  localDate,
+  eventEndDay,
+  computeEventStatus,
+} = require("./lib/dates");
 
 console.log("🚀 Starting Tixr Events Sync (ENHANCED)...");
 // Comment
@@ -30,6 +51,7 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY || !CPK || !SECRET_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+const tixr = createTixrClientFromEnv({ groupId: GROUP_ID });
 
 // ==================== ARTIST EXTRACTION ===================
 const EXCLUDE_LIST = [
@@ -40,12 +62,8 @@ const EXCLUDE_LIST = [
   "mutek",
   "édition",
   "évènement spécial",
-  "room202",
   "produktworld",
   "admission",
-  "taraka",
-  "bazart",
-  "city gas",
   "showcase",
   "special guest",
   "guests",
@@ -72,6 +90,8 @@ const EXCLUDE_LIST = [
   "official",
   "pass",
   "réveillon",
+  // Room names (config/venues.json)
+  ...venueNamePatterns(),
 ];
 
 const INCLUDE_LIST = ["mimouna night", "dome of faith"];
@@ -174,112 +194,40 @@ function extractMainArtist(eventName) {
   return main || null;
 }
 
+// Headliner of the Tixr lineup (every act is kept in events_lineup), else guessed from the name
 function extractArtistFromEvent(tixrEvent) {
-  if (tixrEvent.lineups?.length > 0) {
-    for (const lineup of tixrEvent.lineups) {
-      if (lineup.acts?.length > 0) {
-        const sortedActs = lineup.acts.sort(
-          (a, b) => (a.rank || 999) - (b.rank || 999)
-        );
-        if (sortedActs[0]?.artist?.name) {
-          return toTitleCase(sortedActs[0].artist.name.trim());
-        }
-      }
-    }
+  const headliner = (extractLineup(tixrEvent) || []).find((act) => act.is_headliner);
+  if (headliner) {
+    return toTitleCase(headliner.artist_name);
   }
   return extractMainArtist(tixrEvent.name);
 }
 
-// ==================== STATUS LOGIC ====================
-function computeEventStatus(eventDate) {
-  const now = new Date();
-  const eventStart = new Date(eventDate + "T00:00:00");
-  const eventEnd = new Date(eventStart);
-  eventEnd.setDate(eventEnd.getDate() + 1);
-  eventEnd.setHours(4, 0, 0, 0);
-
-  return now > eventEnd ? "PAST" : "LIVE";
-}
-
-// ==================== DATE CONVERSION ====================
-function convertToMontrealDate(utcDateString) {
-  if (!utcDateString) return null;
-  const utcDate = new Date(utcDateString);
-
-  return utcDate.toLocaleDateString("en-CA", {
-    timeZone: "America/Montreal",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  });
-}
-
 // ==================== TIXR API FUNCTIONS ====================
-function buildHash(basePath, paramsObj) {
-  const paramsSorted = Object.keys(paramsObj)
-    .sort()
-    .map((k) => `${k}=${encodeURIComponent(paramsObj[k])}`)
-    .join("&");
-  const hashString = `${basePath}?${paramsSorted}`;
-  const hash = crypto
-    .createHmac("sha256", SECRET_KEY)
-    .update(hashString)
-    .digest("hex");
-  return { paramsSorted, hash };
-}
-
 async function fetchAllTixrEvents() {
   console.log(`📥 Fetching all events from Tixr group ${GROUP_ID}...`);
-  const allEvents = [];
-  let pageNumber = 1;
-  let hasMorePages = true;
-
-  while (hasMorePages) {
-    const basePath = `/v1/groups/${GROUP_ID}/events`;
-    const t = Date.now();
-    const params = { cpk: CPK, t, page_number: pageNumber, page_size: 100 };
-    const { paramsSorted, hash } = buildHash(basePath, params);
-    const url = `https://studio.tixr.com${basePath}?${paramsSorted}&hash=${hash}`;
 
-    try {
-      console.log(`  📄 Fetching page ${pageNumber}...`);
-      const { data } = await axios.get(url, { timeout: 15000 });
-
-      if (!Array.isArray(data) || data.length === 0) {
-        hasMorePages = false;
-        break;
-      }
-
-      allEvents.push(...data);
-      console.log(`  ✓ Page ${pageNumber}: ${data.length} events`);
-
-      if (data.length < 100) {
-        hasMorePages = false;
-      } else {
-        pageNumber++;
-        await new Promise((resolve) => setTimeout(resolve, 250));
-      }
-    } catch (error) {
-      console.error(`  ❌ Error fetching page ${pageNumber}:`, error.message);
-      console.log("  🔄 Retrying in 5 seconds...");
-      await new Promise((resolve) => setTimeout(resolve, 5000));
+  // Transient failures are retried by the client with backoff; if a page still
+  // fails we throw rather than continue with a partial list, since an incomplete
+  // list would make check-changes delete every event it did not see.
+  const allEvents = await tixr.getEvents(
+    {},
+    {
+      pageSize: 100,
+      pageDelayMs: 250,
+      timeout: 15000,
+      onPage: (data, pageNumber) =>
+        console.log(`  ✓ Page ${pageNumber}: ${data.length} events`),
     }
-  }
+  );
 
   console.log(`✅ Total events fetched: ${allEvents.length}`);
   return allEvents;
 }
 
 async function fetchTixrEventById(eventId) {
-  const basePath = `/v1/groups/${GROUP_ID}/events/${eventId}`;
-  const t = Date.now();
-  const params = { cpk: CPK, t };
-  const { paramsSorted, hash } = buildHash(basePath, params);
-  const url = `https://studio.tixr.com${basePath}?${paramsSorted}&hash=${hash}`;
-
   try {
-    const { data } = await axios.get(url, { timeout: 10000 });
-    return Array.isArray(data) ? data[0] : data;
+    return await tixr.getEvent(eventId);
   } catch (error) {
     console.error(`Error fetching event ${eventId}:`, error.message);
     throw error;
@@ -287,22 +235,40 @@ async function fetchTixrEventById(eventId) {
 }
 
 // ==================== TRANSFORM EVENT FOR DATABASE ====================
+// Event and end days and the LIVE/ONGOING/PAST status are in the venue's time zone (lib/dates.js);
+// the lifecycle state (lib/event-state.js) also looks at the tiers
 function transformEventForDB(tixrEvent) {
-  const eventDate = convertToMontrealDate(tixrEvent.start_date);
+  const venue = resolveVenue(tixrEvent);
+  const timeZone = venue?.venue_timezone || DEFAULT_TIME_ZONE;
+  const eventDate = localDate(tixrEvent.start_date, timeZone);
+  const endDate = eventEndDay(eventDate, tixrEvent.end_date, timeZone);
+  const status = computeEventStatus(eventDate, endDate, timeZone);
+  const { state, reason } = deriveEventState({ tixrEvent, status, tiers: extractEventTiers(tixrEvent) });
+  const artist = extractArtistFromEvent(tixrEvent);
+  const lineup = extractLineup(tixrEvent);
+  const { genre, tags } = classifyTixrEvent(tixrEvent, {
+    date: eventDate,
+    artists: [artist, ...(lineup || []).map((act) => act.artist_name)].filter(Boolean),
+  });
 
   return {
     event_id: parseInt(tixrEvent.id),
     event_name: tixrEvent.name,
     event_date: eventDate,
-    event_artist: extractArtistFromEvent(tixrEvent),
-    event_status: computeEventStatus(eventDate),
-    event_genre: null,
+    event_end_date: endDate,
+    event_artist: artist,
+    event_status: status,
+    event_state: state,
+    event_state_reason: reason,
+    event_genre: genre,
     event_flyer: tixrEvent.flyer_url || tixrEvent.mobile_image_url || null,
-    event_tags: null,
+    event_tags: tags,
+    event_venue_id: venue ? venue.venue_id : null,
+    event_removed_at: null,
     event_updated: new Date().toISOString(),
     event_order_updated: null,
     event_attendance_updated: null,
-    timetable: null,
+    timetable: buildTimetable(lineup),
     timetable_active: true,
   };
 }
@@ -317,7 +283,9 @@ async function checkForEventChanges() {
     // Get current events from database (ADDED: is_custom)
     const { data: dbEvents, error: dbError } = await supabase
       .from("events")
-      .select("event_id, event_name, event_date, event_flyer, event_status, is_custom")
+      .select(
+        "event_id, event_name, event_date, event_end_date, event_flyer, event_status, event_state, event_state_reason, event_state_updated, event_removed_at, event_venue_id, is_custom"
+      )
       .order("event_id");
 
     if (dbError) throw dbError;
@@ -336,6 +304,7 @@ async function checkForEventChanges() {
       updated: [],
       removed: [],
       statusChanged: [],
+      stateChanges: [],
     };
 
     // Check for new and updated events
@@ -347,6 +316,7 @@ async function checkForEventChanges() {
       if (!dbEvent) {
         // New event found
         changes.new.push(freshEvent);
+        changes.stateChanges.push(applyEventState(freshEvent));
         console.log(
           `  🆕 New event: ${freshEvent.event_name} (ID: ${eventId})`
         );
@@ -355,7 +325,11 @@ async function checkForEventChanges() {
         const hasChanges =
           dbEvent.event_name !== freshEvent.event_name ||
           dbEvent.event_date !== freshEvent.event_date ||
-          dbEvent.event_flyer !== freshEvent.event_flyer;
+          dbEvent.event_end_date !== freshEvent.event_end_date ||
+          dbEvent.event_flyer !== freshEvent.event_flyer ||
+          dbEvent.event_venue_id !== freshEvent.event_venue_id ||
+          dbEvent.event_state !== freshEvent.event_state ||
+          dbEvent.event_removed_at !== null;
 
         const statusChanged = dbEvent.event_status !== freshEvent.event_status;
 
@@ -381,33 +355,43 @@ async function checkForEventChanges() {
           }
         }
 
+        const stateChange = applyEventState(freshEvent, dbEvent);
+        if (stateChange) {
+          changes.stateChanges.push(stateChange);
+          console.log(
+            `  🏷️  State change: ${freshEvent.event_name} (${dbEvent.event_state || "none"} → ${freshEvent.event_state}, ${freshEvent.event_state_reason})`
+          );
+        }
+
         // Remove from map to track removed events
         dbEventsMap.delete(eventId);
       }
     }
 
-    // Check for removed events (left in the map)
+    // Check for removed events (left in the map), skipping those already flagged
     for (const [eventId, dbEvent] of dbEventsMap) {
       // 🛡️ PROTECT CUSTOM EVENTS: 
-      // If ID is less than 10,000 OR is_custom is set to true, do not delete it.
-      if (eventId < 10000 || dbEvent.is_custom === true) {
+      // If ID is less than 10,000 OR is_custom is set to true, do not flag it.
+      if (eventId < 10000 || dbEvent.is_custom === true || dbEvent.event_removed_at) {
          // console.log(`  🛡️ Ignoring custom event: ${dbEvent.event_name} (ID: ${eventId})`);
          continue;
       }
 
-      changes.removed.push(eventId);
+      changes.removed.push(dbEvent);
       console.log(
         `  🗑️ Removed from Tixr: ${dbEvent.event_name} (ID: ${eventId})`
       );
     }
 
     // Apply changes to database
+    const unsaved = new Set();
     if (changes.new.length > 0 || changes.updated.length > 0) {
       const eventsToUpsert = [...changes.new, ...changes.updated];
 
       console.log(
         `\n💾 Applying ${eventsToUpsert.length} changes to database...`
       );
+      await saveEventVenues(tixrEvents, eventsToUpsert);
 
       // Upsert in batches
       const batchSize = 100;
@@ -419,6 +403,14 @@ async function checkForEventChanges() {
 
         if (error) {
           console.error(`  ❌ Error saving batch:`, error.message);
+          batch.forEach((event) => unsaved.add(event.event_id));
+          await recordDeadLetter(supabase, {
+            source: "sync-events",
+            kind: "db_batch",
+            ref: "events",
+            payload: { table: "events", rows: batch, onConflict: "event_id" },
+            error,
+          });
         } else {
           console.log(
             `  ✓ Saved batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
@@ -429,27 +421,21 @@ async function checkForEventChanges() {
       }
     }
 
-    // Remove deleted events
+    // Flag removed events (kept for their orders and history, lib/event-state.js)
     if (changes.removed.length > 0) {
-      console.log(`\n🗑️ Removing ${changes.removed.length} deleted events...`);
-      const { error } = await supabase
-        .from("events")
-        .delete()
-        .in("event_id", changes.removed);
-
-      if (error) {
-        console.error("  ❌ Error removing events:", error.message);
-      } else {
-        console.log("  ✓ Events removed");
-      }
+      console.log(`\n🗑️ Flagging ${changes.removed.length} removed events...`);
+      changes.stateChanges.push(...(await flagRemovedEvents(changes.removed)));
     }
 
+    await saveStateChanges(changes.stateChanges.filter((change) => !unsaved.has(change.event_id)));
+
     // Summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log("\n📊 Change Detection Summary:");
     console.log(`  New events: ${changes.new.length}`);
     console.log(`  Updated events: ${changes.updated.length}`);
     console.log(`  Status changes: ${changes.statusChanged.length}`);
+    console.log(`  State changes: ${changes.stateChanges.length}`);
     console.log(`  Removed events: ${changes.removed.length}`);
     console.log(`  Time taken: ${duration}s`);
 
@@ -468,6 +454,121 @@ async function checkForEventChanges() {
   }
 }
 
+// ==================== VENUES ====================
+// Saves the venues the events point to, before the events themselves. If that fails the
+// events are saved without event_venue_id, keeping the venue they had.
+async function saveEventVenues(tixrEvents, events) {
+  try {
+    const saved = await saveVenues(supabase, tixrEvents.map((tixrEvent) => resolveVenue(tixrEvent)));
+    const unplaced = events.filter((event) => !event.event_venue_id).length;
+    console.log(`🏛️  Saved ${saved} venues${unplaced ? `, ${unplaced} events without a venue` : ""}`);
+  } catch (error) {
+    console.error("  ❌ Error saving venues:", error.message);
+    for (const event of events) delete event.event_venue_id;
+  }
+}
+
+// ==================== LIFECYCLE STATES ====================
+// Stamps event_state_updated on the events about to be saved and returns their state
+// changes for events_status_history (lib/event-state.js). If the current states cannot be
+// read, the states are saved without a timestamp or history rather than with wrong ones.
+async function stampEventStates(events) {
+  try {
+    const previous = await fetchEventStates(supabase);
+    return events.map((event) => applyEventState(event, previous.get(event.event_id))).filter(Boolean);
+  } catch (error) {
+    console.error("  ❌ Error reading event states:", error.message);
+    return [];
+  }
+}
+
+// Flags events removed from Tixr with event_removed_at and their new state (CANCELLED, or
+// ARCHIVED once past) instead of deleting them. Returns the state changes.
+async function flagRemovedEvents(dbEvents) {
+  const stateChanges = [];
+  const removedAt = new Date().toISOString();
+  for (const dbEvent of dbEvents) {
+    const { state, reason } = removedEventState(dbEvent);
+    const row = { event_id: dbEvent.event_id, event_state: state, event_state_reason: reason };
+    const stateChange = applyEventState(row, dbEvent);
+    const { error } = await supabase
+      .from("events")
+      .update({ ...row, event_removed_at: removedAt, event_updated: removedAt })
+      .eq("event_id", dbEvent.event_id);
+
+    if (error) {
+      console.error(`  ❌ Error flagging event ${dbEvent.event_id}:`, error.message);
+    } else if (stateChange) {
+      stateChanges.push(stateChange);
+    }
+  }
+  console.log(`  ✓ Events flagged removed`);
+  return stateChanges;
+}
+
+// A failure here does not fail the sync; the states themselves are saved on the events
+async function saveStateChanges(stateChanges) {
+  if (stateChanges.length === 0) return;
+  try {
+    await recordStateChanges(supabase, stateChanges);
+    console.log(`🏷️  Recorded ${stateChanges.length} state changes`);
+  } catch (error) {
+    console.error("  ❌ Error recording state changes:", error.message);
+  }
+}
+
+// ==================== TIERS & LINEUPS ====================
+// Saves the tiers and lineup of every event whose payload lists them. A failing event is
+// logged and skipped; `node tiers.js sync` / `node lineup.js sync` redo it from the full event.
+async function syncEventDetails(tixrEvents) {
+  let tiersSaved = 0;
+  let actsSaved = 0;
+  let failed = 0;
+  for (const tixrEvent of tixrEvents) {
+    const eventId = parseInt(tixrEvent.id);
+    const tiers = extractEventTiers(tixrEvent);
+    const lineup = extractLineup(tixrEvent);
+    try {
+      if (tiers) {
+        await saveEventTiers(supabase, eventId, tiers);
+        tiersSaved += tiers.length;
+      }
+      if (lineup) {
+        await saveEventLineup(supabase, eventId, lineup);
+        actsSaved += lineup.length;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ Error saving tiers / lineup of event ${tixrEvent.id}:`, error.message);
+    }
+  }
+  if (tiersSaved > 0 || actsSaved > 0 || failed > 0) {
+    console.log(
+      `🎟️  Saved ${tiersSaved} tiers and ${actsSaved} lineup acts${failed ? ` (${failed} events failed)` : ""}`
+    );
+  }
+}
+
+// ==================== ARTISTS ====================
+// Links events and lineup acts to canonical artists; names that match none are left for
+// review with `node artists.js candidates`. A failure here does not fail the sync.
+async function linkArtists(events) {
+  try {
+    const eventLinks = await linkEventArtists(supabase, events);
+    const lineupLinks = await linkLineupArtists(
+      supabase,
+      events.map((event) => event.event_id)
+    );
+    console.log(
+      `🎤 Linked ${eventLinks.linked} events and ${lineupLinks.linked} lineup artists, ${
+        eventLinks.candidates + lineupLinks.candidates
+      } unmatched name(s) to review`
+    );
+  } catch (error) {
+    console.error("  ❌ Error linking artists:", error.message);
+  }
+}
+
 // ==================== MAIN SYNC FUNCTION ====================
 async function syncAllEvents() {
   const startTime = Date.now();
@@ -502,10 +603,15 @@ async function syncAllEvents() {
 
     console.log("📊 Status breakdown:");
     console.log(`   LIVE: ${statusCounts.LIVE || 0}`);
+    console.log(`   ONGOING: ${statusCounts.ONGOING || 0}`);
     console.log(`   PAST: ${statusCounts.PAST || 0}`);
 
+    await saveEventVenues(tixrEvents, eventsToUpsert);
+    const stateChanges = await stampEventStates(eventsToUpsert);
+
     console.log(`\n💾 Saving ${eventsToUpsert.length} events to Supabase...`);
     const batchSize = 100;
+    const unsaved = new Set();
 
     for (let i = 0; i < eventsToUpsert.length; i += batchSize) {
       const batch = eventsToUpsert.slice(i, i + batchSize);
@@ -515,6 +621,14 @@ async function syncAllEvents() {
 
       if (error) {
         console.error(`  ❌ Error saving batch:`, error.message);
+        batch.forEach((event) => unsaved.add(event.event_id));
+        await recordDeadLetter(supabase, {
+          source: "sync-events",
+          kind: "db_batch",
+          ref: "events",
+          payload: { table: "events", rows: batch, onConflict: "event_id" },
+          error,
+        });
       } else {
         console.log(
           `  ✓ Saved batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
@@ -524,6 +638,10 @@ async function syncAllEvents() {
       }
     }
 
+    await saveStateChanges(stateChanges.filter((change) => !unsaved.has(change.event_id)));
+    await syncEventDetails(tixrEvents);
+    await linkArtists(eventsToUpsert);
+
     const totalTime = (Date.now() - startTime) / 1000;
     console.log(`\n✨ Sync complete in ${totalTime.toFixed(1)}s!`);
   } catch (error) {
@@ -537,50 +655,82 @@ async function updateStatuses() {
   console.log("🔄 Updating event statuses...");
 
   try {
-    const { data: liveEvents, error } = await supabase
+    const { data: activeEvents, error } = await supabase
       .from("events")
-      .select("event_id, event_date")
-      .eq("event_status", "LIVE");
+      .select(
+        "event_id, event_date, event_end_date, event_status, event_state, event_state_reason, event_state_updated, venues(venue_timezone)"
+      )
+      .in("event_status", ACTIVE_STATUSES);
 
     if (error) throw error;
 
-    if (!liveEvents || liveEvents.length === 0) {
-      console.log("  No LIVE events to check");
+    if (!activeEvents || activeEvents.length === 0) {
+      console.log("  No LIVE or ONGOING events to check");
       return;
     }
 
-    const eventsToUpdate = [];
+    // New status -> ids of the events moving to it (LIVE -> ONGOING -> PAST)
+    const eventsToUpdate = new Map();
+    const pastEvents = [];
+    // Only events whose PAST status was saved are archived
+    const archivable = [];
 
-    for (const event of liveEvents) {
-      const status = computeEventStatus(event.event_date);
+    for (const event of activeEvents) {
+      const status = computeEventStatus(event.event_date, event.event_end_date, eventTimeZone(event));
 
-      if (status === "PAST") {
-        eventsToUpdate.push(event.event_id);
+      if (status !== event.event_status) {
+        if (!eventsToUpdate.has(status)) eventsToUpdate.set(status, []);
+        eventsToUpdate.get(status).push(event.event_id);
+        if (status === "PAST") pastEvents.push(event);
       }
     }
 
-    if (eventsToUpdate.length > 0) {
+    for (const [status, eventIds] of eventsToUpdate) {
       const { error: updateError } = await supabase
         .from("events")
         .update({
-          event_status: "PAST",
+          event_status: status,
           event_updated: new Date().toISOString(),
         })
-        .in("event_id", eventsToUpdate);
+        .in("event_id", eventIds);
 
       if (updateError) {
-        console.error("  ❌ Error updating statuses:", updateError);
+        console.error(`  ❌ Error updating statuses to ${status}:`, updateError);
       } else {
-        console.log(`  ✅ Updated ${eventsToUpdate.length} events to PAST`);
+        console.log(`  ✅ Updated ${eventIds.length} events to ${status}`);
+        if (status === "PAST") archivable.push(...pastEvents);
       }
-    } else {
+    }
+    if (eventsToUpdate.size === 0) {
       console.log("  ✓ All statuses are correct");
     }
+
+    await archivePastEvents(archivable);
   } catch (error) {
     console.error("  ❌ Error in status update:", error);
   }
 }
 
+// Events turning PAST are ARCHIVED, unless cancelled or postponed (lib/event-state.js)
+async function archivePastEvents(events) {
+  const stateChanges = [];
+  for (const event of events) {
+    const { state, reason } = pastEventState(event);
+    const row = { event_id: event.event_id, event_state: state, event_state_reason: reason };
+    const stateChange = applyEventState(row, event);
+    if (!stateChange) continue;
+
+    const { error } = await supabase.from("events").update(row).eq("event_id", event.event_id);
+    if (error) {
+      console.error(`  ❌ Error archiving event ${event.event_id}:`, error.message);
+    } else {
+      stateChanges.push(stateChange);
+    }
+  }
+  if (stateChanges.length > 0) console.log(`  ✅ Archived ${stateChanges.length} past events`);
+  await saveStateChanges(stateChanges);
+}
+
 // ==================== MAIN EXECUTION ====================
 async function main() {
   const command = process.argv[2] || "sync";
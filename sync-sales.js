@@ -1,6 +1,9 @@
 // sync-sales.js
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { rebuildEventSales } = require('./lib/sales');
+const { ACTIVE_STATUSES } = require('./lib/dates');
+const { recordDeadLetter } = require('./lib/dead-letter');
 // Comment
 // --- CONFIGURATION --
 const { SUPABASE_URL, SUPABASE_KEY } = process.env;
@@ -12,12 +15,6 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 
-const sumOrderQuantity = (orders) => {
-  return orders.reduce((sum, order) => sum + (order.order_quantity || 0), 0);
-};
-
-const safeUpper = (str) => (str || '').toUpperCase();
-
 /**
  * Main function to reconcile and backfill sales data from events_orders.
  * DOES NOT TOUCH event_status.
@@ -26,12 +23,12 @@ async function syncEventSales() {
   console.log('🚀 Starting event sales reconciliation process...');
 
   try {
-    // 1. Fetch ALL LIVE events, and PAST events that do not yet have a sales record
+    // 1. Fetch ALL LIVE and ONGOING events, and PAST events that do not yet have a sales record
     const [
       { data: allEvents, error: eventsError },
       { data: existingSales, error: salesError }
     ] = await Promise.all([
-      supabase.from('events').select('event_id, event_status, is_custom'), 
+      supabase.from('events').select('event_id, event_date, event_end_date, event_status, is_custom, event_removed_at, venues(venue_timezone)'), 
       supabase.from('events_sales').select('event_id')
     ]);
 
@@ -42,9 +39,9 @@ async function syncEventSales() {
 
     // 2. Filter events
     const eventsToProcess = allEvents.filter(event => {
-      if (event.is_custom === true) return false; 
-      // Process if it's LIVE (to catch any missed webhooks), OR if it's missing from events_sales
-      if (event.event_status === 'LIVE') return true;
+      if (event.is_custom === true || event.event_removed_at) return false; 
+      // Process if it's LIVE or ONGOING (to catch any missed webhooks), OR if it's missing from events_sales
+      if (ACTIVE_STATUSES.includes(event.event_status)) return true;
       if (event.event_status === 'PAST') return !existingSaleIds.has(event.event_id);
       return false;
     });
@@ -56,108 +53,15 @@ async function syncEventSales() {
 
     console.log(`📋 Found ${eventsToProcess.length} events to reconcile. Fetching order data...`);
 
-    // 3. Batch process DB orders into events_sales
+    // 3. Aggregate each event's orders with the shared classification rules (lib/sales.js)
     const calculationPromises = eventsToProcess.map(async (event) => {
-      let allOrders = [];
-      let page = 0;
-      const pageSize = 1000;
-      let hasMore = true;
-
-      while(hasMore) {
-        // We filter for 'COMPLETE' at the database level for maximum speed, 
-        // but we will still enforce it in the JS filters below per requirements.
-        const { data: orders, error } = await supabase
-            .from('events_orders')
-            .select('order_category, order_net, order_ref_type, order_gross, order_quantity, order_sales_item_name, order_status')
-            .eq('event_id', event.event_id)
-            .eq('order_status', 'COMPLETE')
-            .range(page * pageSize, (page + 1) * pageSize - 1);
-
-        if (error) {
-          console.error(`  - ❌ Failed to fetch orders for event ${event.event_id}. Skipping. Error: ${error.message}`);
-          return null;
-        }
-
-        if (orders && orders.length > 0) {
-          allOrders.push(...orders);
-          page++;
-          if(orders.length < pageSize) hasMore = false;
-        } else {
-          hasMore = false;
-        }
+      try {
+        return await rebuildEventSales(supabase, event);
+      } catch (error) {
+        console.error(`  - ❌ ${error.message}. Skipping.`);
+        await recordDeadLetter(supabase, { source: 'sync-sales', kind: 'sales_aggregate', ref: event.event_id, error });
+        return null;
       }
-
-      // --- APPLY STRICT CLASSIFICATION RULES ---
-      return {
-        event_id: event.event_id,
-        
-        // GA: order_category = GA and order_gross > 0 and order_status = COMPLETE
-        sales_total_ga: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'GA' && 
-          o.order_gross > 0 && 
-          o.order_status === 'COMPLETE'
-        )),
-        
-        // VIP: order_category = VIP and order_gross > 0 and order_status = COMPLETE
-        sales_total_vip: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'VIP' && 
-          o.order_gross > 0 && 
-          o.order_status === 'COMPLETE'
-        )),
-        
-        // COMP GA: order_category = GA, order_gross = 0, status = COMPLETE, ref = BACKSTAGE
-        sales_total_comp_ga: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'GA' && 
-          o.order_gross === 0 && 
-          o.order_status === 'COMPLETE' && 
-          safeUpper(o.order_ref_type) === 'BACKSTAGE'
-        )),
-        
-        // COMP VIP: order_category = VIP, order_gross = 0, status = COMPLETE, ref = BACKSTAGE
-        sales_total_comp_vip: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'VIP' && 
-          o.order_gross === 0 && 
-          o.order_status === 'COMPLETE' && 
-          safeUpper(o.order_ref_type) === 'BACKSTAGE'
-        )),
-        
-        // COATCHECK: order_category = OUTLET, order_gross > 0, status = COMPLETE, name contains Vestiaire/Coat Check
-        sales_total_coatcheck: sumOrderQuantity(allOrders.filter(o => {
-          const nameUpper = safeUpper(o.order_sales_item_name);
-          const isCoatCheckName = nameUpper.includes('VESTIA') || nameUpper.includes('COAT CHECK') || nameUpper.includes('COATCHECK');
-          return o.order_category === 'OUTLET' && 
-                 o.order_gross > 0 && 
-                 o.order_status === 'COMPLETE' && 
-                 isCoatCheckName;
-        })),
-
-        // FREE GA: order_category = GA, order_gross = 0, status = COMPLETE, ref IS NOT BACKSTAGE
-        sales_total_free_ga: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'GA' && 
-          o.order_gross === 0 && 
-          o.order_status === 'COMPLETE' && 
-          safeUpper(o.order_ref_type) !== 'BACKSTAGE'
-        )),
-        
-        // FREE VIP: order_category = VIP, order_gross = 0, status = COMPLETE, ref IS NOT BACKSTAGE
-        sales_total_free_vip: sumOrderQuantity(allOrders.filter(o => 
-          o.order_category === 'VIP' && 
-          o.order_gross === 0 && 
-          o.order_status === 'COMPLETE' && 
-          safeUpper(o.order_ref_type) !== 'BACKSTAGE'
-        )),
-
-        // TABLES (Retained from previous setup to prevent DB nulls)
-        sales_total_tables: sumOrderQuantity(allOrders.filter(o => 
-          (o.order_category === 'TABLE_SERVICE' || o.order_category === 'TABLE') && 
-          o.order_gross > 0 && 
-          o.order_status === 'COMPLETE'
-        )),
-
-        // Financials
-        sales_gross: allOrders.reduce((sum, o) => sum + (o.order_gross || 0), 0),
-        sales_net: allOrders.reduce((sum, o) => sum + (o.order_net || 0), 0),
-      };
     });
 
     const salesDataToUpsert = (await Promise.all(calculationPromises)).filter(data => data !== null);
@@ -173,7 +77,13 @@ async function syncEventSales() {
       .from('events_sales')
       .upsert(salesDataToUpsert, { onConflict: 'event_id' });
 
-    if (upsertError) throw new Error(`Batch upsert failed: ${upsertError.message}`);
+    if (upsertError) {
+      await recordDeadLetter(supabase, {
+        source: 'sync-sales', kind: 'db_batch', ref: 'events_sales',
+        payload: { table: 'events_sales', rows: salesDataToUpsert, onConflict: 'event_id' }, error: upsertError,
+      });
+      throw new Error(`Batch upsert failed: ${upsertError.message}`);
+    }
 
     const processedEventIds = salesDataToUpsert.map(data => data.event_id);
     
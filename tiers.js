@@ -0,0 +1,141 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { fetchSalesInputs } = require('./lib/sales');
+const { TIERS_TABLE, extractEventTiers, saveEventTiers, updateTierSoldCounts, tierInventory } = require('./lib/tiers');
+const { ACTIVE_STATUSES } = require('./lib/dates');
+
+// Tier inventory: sync tiers from the full Tixr events, show remaining tickets per tier,
+// and list the tiers of LIVE and ONGOING events that are close to selling out.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const DEFAULT_THRESHOLD = 0.9;
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchEvents(eventIds = []) {
+  let query = supabase.from('events').select('event_id, event_name, event_date, is_custom');
+  query = eventIds.length > 0 ? query.in('event_id', eventIds) : query.in('event_status', ACTIVE_STATUSES).is('event_removed_at', null);
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read events: ${error.message}`);
+  return data.filter(e => e.is_custom !== true);
+}
+
+async function fetchTiers(eventIds) {
+  const { data, error } = await supabase
+    .from(TIERS_TABLE)
+    .select('*')
+    .in('event_id', eventIds)
+    .is('tier_removed_at', null)
+    .order('tier_start', { ascending: true, nullsFirst: true });
+  if (error) throw new Error(`Failed to read ${TIERS_TABLE}: ${error.message}`);
+  return data;
+}
+
+const percent = (ratio) => (ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+const day = (timestamp) => (timestamp ? timestamp.slice(0, 10) : '…');
+
+// ==================== COMMANDS ====================
+
+async function syncTiers(eventIds) {
+  const tixr = createTixrClientFromEnv();
+  const events = await fetchEvents(eventIds);
+  console.log(`🔄 Syncing tiers of ${events.length} event(s) from Tixr...`);
+
+  for (const event of events) {
+    try {
+      const tiers = extractEventTiers(await tixr.getEvent(event.event_id));
+      if (!tiers) {
+        console.log(`  ⚠️  Event ${event.event_id}: no tier information in the Tixr event`);
+        continue;
+      }
+      const removed = await saveEventTiers(supabase, event.event_id, tiers);
+      await updateTierSoldCounts(supabase, event.event_id, await fetchSalesInputs(supabase, event.event_id));
+      console.log(`  ✅ Event ${event.event_id}: ${tiers.length} tiers${removed ? `, ${removed} removed` : ''}`);
+    } catch (error) {
+      console.error(`  ❌ Event ${event.event_id}: ${error.message}`);
+    }
+  }
+}
+
+async function printReport(eventId) {
+  const [event] = await fetchEvents([eventId]);
+  const tiers = await fetchTiers([eventId]);
+
+  console.log(`\n🎟️  ${event ? `${event.event_name} (${event.event_date})` : 'Unknown event'} — ID ${eventId}`);
+  if (tiers.length === 0) {
+    console.log('  No tiers yet; run "sync" first.');
+    return;
+  }
+  console.log(`  ${'TIER'.padEnd(32)} ${'PRICE'.padStart(8)} ${'CAP'.padStart(6)} ${'SOLD'.padStart(6)} ${'LEFT'.padStart(6)} ${'SOLD%'.padStart(6)}  ${'ON SALE'.padEnd(23)} STATUS`);
+  let capacity = 0;
+  let sold = 0;
+  for (const tier of tiers) {
+    const inventory = tierInventory(tier);
+    capacity += tier.tier_capacity || 0;
+    sold += inventory.sold;
+    console.log(`  ${String(tier.tier_name || tier.tier_id).substring(0, 32).padEnd(32)} ${String(tier.tier_price ?? '-').padStart(8)} ${String(tier.tier_capacity ?? '-').padStart(6)} ${String(inventory.sold).padStart(6)} ${String(inventory.remaining ?? '-').padStart(6)} ${percent(inventory.ratio).padStart(6)}  ${`${day(tier.tier_start)} → ${day(tier.tier_end)}`.padEnd(23)} ${tier.tier_status || ''}`);
+  }
+  console.log(`\n  Total: ${sold} sold of ${capacity || 'unknown'} tier capacity`);
+}
+
+async function listNearSoldOut(threshold) {
+  const events = await fetchEvents();
+  const eventsById = new Map(events.map(e => [String(e.event_id), e]));
+  const tiers = events.length > 0 ? await fetchTiers(events.map(e => e.event_id)) : [];
+
+  const flagged = tiers
+    .map(tier => ({ tier, inventory: tierInventory(tier) }))
+    .filter(({ inventory }) => inventory.ratio !== null && inventory.ratio >= threshold)
+    .sort((a, b) => b.inventory.ratio - a.inventory.ratio);
+
+  console.log(`🔥 Tiers of LIVE and ONGOING events at ${Math.round(threshold * 100)}% sold or more: ${flagged.length}`);
+  for (const { tier, inventory } of flagged) {
+    const event = eventsById.get(String(tier.event_id));
+    const label = inventory.remaining === 0 ? 'SOLD OUT' : `${inventory.remaining} left`;
+    console.log(`  ${percent(inventory.ratio).padStart(5)}  ${label.padEnd(10)} ${event.event_date} ${event.event_name} — ${tier.tier_name || tier.tier_id}`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'sync':
+      await syncTiers(args);
+      break;
+    case 'report':
+      if (!args[0]) throw new Error('Usage: node tiers.js report <event_id> [event_id...]');
+      for (const eventId of args) await printReport(eventId);
+      break;
+    case 'near-sold-out': {
+      const threshold = parseFloat(takeOption(args, '--threshold') || DEFAULT_THRESHOLD);
+      if (!(threshold > 0 && threshold <= 1)) throw new Error('--threshold must be between 0 and 1');
+      await listNearSoldOut(threshold);
+      break;
+    }
+    default:
+      console.log('Usage:');
+      console.log('  node tiers.js sync [event_id...]                 - Sync tiers from Tixr (default: LIVE and ONGOING events)');
+      console.log('  node tiers.js report <event_id...>               - Price, capacity, sold and remaining per tier');
+      console.log(`  node tiers.js near-sold-out [--threshold ${DEFAULT_THRESHOLD}]    - Tiers of LIVE and ONGOING events close to selling out`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
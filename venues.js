@@ -0,0 +1,160 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { getClassificationRules } = require('./lib/classification');
+const { VENUES_TABLE, getVenues } = require('./lib/venues');
+
+// Rooms (venues, lib/venues.js): list them, compare sales, sell-through and attendance
+// across rooms, and list the events no room was found for. Attendance counts the
+// tickets whose Tixr status was CHECKED_IN / CHECKED_OUT at the last order sync. POS
+// revenue is not stored yet, so it is not part of the comparison.
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const PAGE_SIZE = 1000;
+const SCANNED_STATUSES = ['CHECKED_IN', 'CHECKED_OUT'];
+
+const money = (value) => (value || 0).toLocaleString('en-CA', { style: 'currency', currency: 'CAD' });
+const percent = (part, total) => (total > 0 ? `${Math.round((part / total) * 100)}%` : '-');
+
+// Pulls `--name value` out of args; returns the value or null
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : null;
+}
+
+async function fetchVenues() {
+  const { data, error } = await supabase.from(VENUES_TABLE).select('*').order('venue_name');
+  if (error) throw new Error(`Failed to read ${VENUES_TABLE}: ${error.message}`);
+  return data;
+}
+
+async function fetchEvents(since) {
+  const events = [];
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from('events')
+      .select('event_id, event_name, event_date, event_status, event_venue_id, event_capacity, is_custom')
+      .order('event_date', { ascending: false })
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (since) query = query.gte('event_date', since);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to read events: ${error.message}`);
+    events.push(...data);
+    if (data.length < PAGE_SIZE) return events.filter(e => e.is_custom !== true);
+  }
+}
+
+async function countScanned(eventId) {
+  const { count, error } = await supabase
+    .from('events_tickets')
+    .select('event_id', { count: 'exact', head: true })
+    .eq('event_id', eventId)
+    .in('ticket_status', SCANNED_STATUSES)
+    .is('ticket_removed_at', null);
+  if (error) throw new Error(`Failed to count scanned tickets of event ${eventId}: ${error.message}`);
+  return count || 0;
+}
+
+// ==================== COMMANDS ====================
+
+async function listVenues() {
+  const venues = await fetchVenues();
+  const { path: venuesPath } = getVenues();
+  console.log(`🏛️  ${venues.length} venue(s)`);
+  for (const venue of venues) {
+    const details = [venue.venue_capacity ? `capacity ${venue.venue_capacity}` : 'capacity unknown', venue.venue_city, venue.venue_tixr_id && `tixr ${venue.venue_tixr_id}`];
+    console.log(`  ${venue.venue_id.padEnd(20)} ${venue.venue_name.padEnd(28)} ${details.filter(Boolean).join(', ')}`);
+  }
+  if (venues.some(v => v.venue_source === 'tixr')) {
+    console.log(`\n   "tixr:" venues are Tixr venues listed in no room of ${venuesPath}.`);
+  }
+}
+
+// PAST events only: sell-through and attendance of shows still on sale would drag the averages down
+async function printReport(since) {
+  const [venues, events] = await Promise.all([fetchVenues(), fetchEvents(since)]);
+  const past = events.filter(e => e.event_status === 'PAST' && e.event_venue_id);
+  const ticketColumns = Object.keys(getClassificationRules().aggregates);
+
+  const sales = [];
+  const ids = past.map(e => e.event_id);
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await supabase.from('events_sales').select('*').in('event_id', ids.slice(i, i + 200));
+    if (error) throw new Error(`Failed to read events_sales: ${error.message}`);
+    sales.push(...data);
+  }
+  const salesByEvent = new Map(sales.map(s => [String(s.event_id), s]));
+
+  const venuesById = new Map(venues.map(v => [v.venue_id, v]));
+  const groups = new Map();
+  for (const event of past) {
+    const row = salesByEvent.get(String(event.event_id));
+    const tickets = row ? ticketColumns.reduce((sum, column) => sum + (row[column] || 0), 0) : 0;
+    const capacity = event.event_capacity || venuesById.get(event.event_venue_id)?.venue_capacity || null;
+    if (!groups.has(event.event_venue_id)) groups.set(event.event_venue_id, { events: 0, tickets: 0, gross: 0, scanned: 0, capacity: 0, ticketsWithCapacity: 0 });
+    const group = groups.get(event.event_venue_id);
+    group.events++;
+    group.tickets += tickets;
+    group.gross += row?.sales_gross || 0;
+    group.scanned += await countScanned(event.event_id);
+    if (capacity) {
+      group.capacity += capacity;
+      group.ticketsWithCapacity += tickets;
+    }
+  }
+
+  console.log(`\n🏛️  PAST events by venue${since ? ` since ${since}` : ''} — ${past.length} event(s)`);
+  console.log(`  ${'VENUE'.padEnd(28)} ${'EVENTS'.padStart(7)} ${'TICKETS'.padStart(9)} ${'GROSS'.padStart(16)} ${'GROSS/EVENT'.padStart(14)} ${'SOLD%'.padStart(6)} ${'SCANNED%'.padStart(9)}`);
+  for (const [venueId, group] of [...groups].sort((a, b) => b[1].gross - a[1].gross)) {
+    const name = venuesById.get(venueId)?.venue_name || venueId;
+    console.log(`  ${name.substring(0, 28).padEnd(28)} ${String(group.events).padStart(7)} ${String(group.tickets).padStart(9)} ${money(group.gross).padStart(16)} ${money(group.gross / group.events).padStart(14)} ${percent(group.ticketsWithCapacity, group.capacity).padStart(6)} ${percent(group.scanned, group.tickets).padStart(9)}`);
+  }
+  const unplaced = events.filter(e => e.event_status === 'PAST' && !e.event_venue_id).length;
+  if (unplaced > 0) console.log(`\n   ${unplaced} PAST event(s) have no venue; see "node venues.js unassigned".`);
+}
+
+async function listUnassigned(since) {
+  const events = (await fetchEvents(since)).filter(e => !e.event_venue_id);
+  const { path: venuesPath } = getVenues();
+  console.log(`🔎 ${events.length} event(s) without a venue${since ? ` since ${since}` : ''}`);
+  for (const event of events) {
+    console.log(`  ${event.event_date}  ${String(event.event_id).padEnd(8)} ${event.event_name}`);
+  }
+  if (events.length > 0) console.log(`\n   Add their room names or Tixr venue ids to ${venuesPath}, then run "npm run sync".`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+  const since = takeOption(args, '--since');
+  if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) throw new Error('--since must be a YYYY-MM-DD date');
+
+  switch (command) {
+    case 'list':
+      await listVenues();
+      break;
+    case 'report':
+      await printReport(since);
+      break;
+    case 'unassigned':
+      await listUnassigned(since);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node venues.js list                          - Venues with their capacity');
+      console.log('  node venues.js report [--since YYYY-MM-DD]   - Sales, sell-through and attendance of PAST events per venue');
+      console.log('  node venues.js unassigned [--since YYYY-MM-DD] - Events no venue was found for');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
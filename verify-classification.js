@@ -1,100 +1,33 @@
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getClassificationRules, loadClassificationRules, explainClassification, classifyOrderRow } = require('./lib/classification');
 
 const { SUPABASE_URL, SUPABASE_KEY } = process.env;
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-// Commnt
-function classifyItem(item) {
-  // 1. Normalize Inputs Inputs
-  const name = (item.order_sales_item_name || "").toUpperCase();
-  const category = (item.order_category || "").toUpperCase();
-  const refType = (item.order_ref_type || "").toUpperCase(); // The "Source"
-  const gross = parseFloat(item.order_gross || 0);
-  
-  const isFree = gross === 0;
-  const isPaid = gross > 0;
-  const isBackstage = refType === "BACKSTAGE";
-
-  // --- 1. COAT CHECK (Category Override) ---
-  // Rule: Category OUTLET and name contains Vestiaire/Coat Check
-  if (category === 'OUTLET' && (name.includes('VESTIAIRE') || name.includes('COAT CHECK'))) {
-    return "COATCHECK";
+// Checks the shared classification rules (config/classification-rules.json) against
+// every distinct item signature in events_orders and lists what falls through them.
+//
+// Before editing the rules, `snapshot` records the category of every signature; `diff`
+// then re-classifies that snapshot with the edited rules and shows what moved.
+// `fixtures` checks the hand-written cases in config/classification-fixtures.json.
+
+const DEFAULT_SNAPSHOT_PATH = './classification-snapshot.json';
+const FIXTURES_PATH = path.join(__dirname, 'config', 'classification-fixtures.json');
+
+// ==================== SIGNATURES ====================
+
+/**
+ * Every distinct (name, category, paid/free, ref) combination in events_orders, with
+ * how many lines and tickets (quantity) carry it.
+ */
+async function scanSignatures() {
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+    process.exit(1);
   }
+  const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 
-  // --- 2. PHYSICAL & DOOR TICKETS (Backstage Only) ---
-  if (isBackstage && isFree) {
-    
-    // Physical Tables
-    if (category.includes('TABLE') || category.includes('SERVICE')) {
-      if ((name.includes('BILLET PHYSIQUE') || name.includes('DOOR TABLE')) && name.includes('PREPAID') && !name.includes('PAY AT THE DOOR')) {
-        return "PHYSICAL_TABLE_PREPAID";
-      }
-      if ((name.includes('BILLET PHYSIQUE') || name.includes('DOOR')) && (name.includes('PAY AT THE DOOR') || name.includes('BUY AT DOOR')) && !name.includes('PREPAID')) {
-        return "PHYSICAL_TABLE_DOOR";
-      }
-    }
-
-    // Physical Guestlist
-    if (category.includes('GUEST') && (name.includes('GUESTLIST') || name.includes('GL'))) {
-      return "PHYSICAL_GUESTLIST";
-    }
-
-    // Physical GA
-    if (category === 'GA' && (name.includes('BILLET PHYSIQUE') || name.includes('HARD COPY') || name.includes('DOOR'))) {
-      return "DOOR_GA";
-    }
-
-    // Physical VIP
-    if (category === 'VIP' && (name.includes('BILLET PHYSIQUE') || name.includes('HARD COPY') || name.includes('DOOR'))) {
-      return "DOOR_VIP";
-    }
-  }
-
-  // --- 3. COMPS (Backstage Only) ---
-  // Distinct from "Free" tickets bought online
-  if (isBackstage && isFree) {
-    if (category === 'GA' && (name.includes('COMP') || name.includes('INVITÉ') || name.includes('INVITE'))) {
-      return "COMP_GA";
-    }
-    if (category === 'VIP' && (name.includes('COMP') || name.includes('INVITÉ') || name.includes('INVITE'))) {
-      return "COMP_VIP";
-    }
-  }
-
-  // --- 4. FREE TICKETS (Online/Public) ---
-  // Bought by client for $0, OR RSVP, NOT Backstage
-  if (!isBackstage && isFree) {
-    if (category === 'GA' || category === 'GUEST') { // Added GUEST here as RSVP often uses Guest category
-      return "FREE_GA";
-    }
-    if (category === 'VIP') {
-      return "FREE_VIP";
-    }
-  }
-
-  // --- 5. TABLES (Paid / RSVP) ---
-  // Covers paid table reservations
-  if (category.includes('TABLE') || category.includes('BOOTH') || name.includes('BANQUETTE')) {
-    return "TABLES_RSVP";
-  }
-
-  // --- 6. STANDARD PAID TICKETS ---
-  if (isPaid) {
-    if (category === 'VIP') return "VIP_PAID";
-    if (category === 'GA') return "GA_PAID";
-    
-    // Specific handling for your "Photo" / Meet & Greet items
-    if (category === 'PHOTO') return "VIP_PAID"; 
-  }
-
-  // --- 7. CATCH-ALL FOR UNMATCHED ---
-  // Helps us identify what didn't fit the rules above
-  return "UNCATEGORIZED";
-}
-
-async function runValidation() {
-  console.log("🚀 Running Classification Validation...");
-  
   const uniqueTypes = {};
   let page = 0;
   const pageSize = 1000;
@@ -104,10 +37,11 @@ async function runValidation() {
   while (hasMore) {
     const { data: orders, error } = await supabase
       .from('events_orders')
-      .select('order_sales_item_name, order_category, order_gross, order_ref_type')
+      .select('order_sales_item_name, order_category, order_gross, order_line_gross, order_ref_type, order_quantity')
       .range(page * pageSize, (page + 1) * pageSize - 1);
 
-    if (error || !orders || orders.length === 0) {
+    if (error) throw new Error(`Failed to read events_orders: ${error.message}`);
+    if (!orders || orders.length === 0) {
       hasMore = false;
       break;
     }
@@ -116,18 +50,20 @@ async function runValidation() {
       const name = (o.order_sales_item_name || "[NO NAME]").trim();
       const category = (o.order_category || "[NO CAT]").trim();
       const ref = (o.order_ref_type || "[NO REF]").trim();
-      const gross = parseFloat(o.order_gross || 0);
+      // The line's share of the order gross, as the writers classify it (classifyOrderRow)
+      const gross = parseFloat(o.order_line_gross ?? o.order_gross ?? 0);
       const priceStatus = gross > 0 ? "PAID" : "FREE";
 
       // Group by unique signature
       const key = `${name}|${category}|${priceStatus}|${ref}`;
-      
+
       if (!uniqueTypes[key]) {
         uniqueTypes[key] = {
-          name, category, ref, gross, count: 0
+          key, name, category, ref, price: priceStatus, gross, count: 0, tickets: 0
         };
       }
       uniqueTypes[key].count++;
+      uniqueTypes[key].tickets += o.order_quantity || 0;
     });
 
     totalScanned += orders.length;
@@ -136,25 +72,34 @@ async function runValidation() {
   }
 
   console.log(`\n✅ Analysis Complete.`);
-  
-  const summary = {};
-  const uncategorizedList = [];
-
   // Sort by count to show most impactful items first
-  const sortedItems = Object.values(uniqueTypes).sort((a, b) => b.count - a.count);
+  return Object.values(uniqueTypes).sort((a, b) => b.count - a.count);
+}
+
+function classifySignature(signature, ruleset) {
+  return classifyOrderRow({
+    order_sales_item_name: signature.name,
+    order_category: signature.category,
+    order_ref_type: signature.ref,
+    order_line_gross: signature.gross,
+  }, ruleset);
+}
+
+// ==================== COMMANDS ====================
 
-  sortedItems.forEach(item => {
-    const mockItem = {
-      order_sales_item_name: item.name,
-      order_category: item.category,
-      order_ref_type: item.ref,
-      order_gross: item.gross
-    };
+async function runValidation() {
+  const ruleset = getClassificationRules();
+  console.log(`🚀 Running Classification Validation (rules v${ruleset.version}, ${ruleset.rules.length} rules)...`);
 
-    const result = classifyItem(mockItem);
+  const signatures = await scanSignatures();
+  const summary = {};
+  const uncategorizedList = [];
+
+  signatures.forEach(item => {
+    const result = classifySignature(item, ruleset);
     summary[result] = (summary[result] || 0) + item.count;
 
-    if (result === "UNCATEGORIZED") {
+    if (result === ruleset.fallback) {
       uncategorizedList.push(item);
     }
   });
@@ -168,8 +113,7 @@ async function runValidation() {
     console.log(`| ${"COUNT".padEnd(6)} | ${"PRICE".padEnd(6)} | ${"CATEGORY".padEnd(15)} | ${"SOURCE".padEnd(15)} | ${"NAME"}`);
     console.log("=================================================================================================================");
     uncategorizedList.forEach(u => {
-      const priceStr = u.gross > 0 ? "PAID" : "FREE";
-      console.log(`| ${u.count.toString().padEnd(6)} | ${priceStr.padEnd(6)} | ${u.category.substring(0,14).padEnd(15)} | ${u.ref.substring(0,14).padEnd(15)} | ${u.name}`);
+      console.log(`| ${u.count.toString().padEnd(6)} | ${u.price.padEnd(6)} | ${u.category.substring(0,14).padEnd(15)} | ${u.ref.substring(0,14).padEnd(15)} | ${u.name}`);
     });
     console.log("=================================================================================================================");
   } else {
@@ -177,4 +121,133 @@ async function runValidation() {
   }
 }
 
-runValidation();
\ No newline at end of file
+async function writeSnapshot(snapshotPath) {
+  const ruleset = getClassificationRules();
+  console.log(`📸 Snapshotting classification with rules v${ruleset.version}...`);
+
+  const signatures = (await scanSignatures()).map(s => ({ ...s, result: classifySignature(s, ruleset) }));
+  const snapshot = {
+    created_at: new Date().toISOString(),
+    rules_version: ruleset.version,
+    signatures,
+  };
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+  console.log(`💾 Saved ${signatures.length} signatures to ${snapshotPath}.`);
+}
+
+// Re-classifies the snapshot's signatures with the current (or given) rules; no database needed
+function diffSnapshot(snapshotPath, rulesPath) {
+  if (!fs.existsSync(snapshotPath)) throw new Error(`No snapshot at ${snapshotPath}; run "snapshot" first`);
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const ruleset = rulesPath ? loadClassificationRules(rulesPath) : getClassificationRules();
+
+  console.log(`🔬 Comparing snapshot of ${snapshot.created_at} (rules v${snapshot.rules_version}) with rules v${ruleset.version}${rulesPath ? ` from ${rulesPath}` : ''}...`);
+
+  const moved = [];
+  for (const signature of snapshot.signatures) {
+    const { category, ruleId } = explainClassification({
+      name: signature.name, category: signature.category, refType: signature.ref, gross: signature.gross,
+    }, ruleset);
+    if (category !== signature.result) moved.push({ ...signature, to: category, ruleId });
+  }
+
+  if (moved.length === 0) {
+    console.log(`\n✅ No change: all ${snapshot.signatures.length} signatures keep their category.`);
+    return;
+  }
+
+  // Ticket impact per category: what each one gains and loses
+  const impact = {};
+  const transitions = {};
+  for (const m of moved) {
+    impact[m.result] = impact[m.result] || { lost: 0, gained: 0 };
+    impact[m.to] = impact[m.to] || { lost: 0, gained: 0 };
+    impact[m.result].lost += m.tickets;
+    impact[m.to].gained += m.tickets;
+    const transition = `${m.result} → ${m.to}`;
+    transitions[transition] = transitions[transition] || { signatures: 0, tickets: 0 };
+    transitions[transition].signatures++;
+    transitions[transition].tickets += m.tickets;
+  }
+  for (const row of Object.values(impact)) row.net = row.gained - row.lost;
+
+  console.log(`\n⚠️  ${moved.length} signature(s) changed category:`);
+  console.table(transitions);
+  console.log('\n📊 Ticket impact per category:');
+  console.table(impact);
+
+  console.log("\n=================================================================================================================");
+  console.log(`| ${"TICKETS".padEnd(7)} | ${"PRICE".padEnd(5)} | ${"CATEGORY".padEnd(14)} | ${"SOURCE".padEnd(14)} | ${"FROM → TO (RULE)".padEnd(40)} | NAME`);
+  console.log("=================================================================================================================");
+  moved.sort((a, b) => b.tickets - a.tickets).forEach(m => {
+    const change = `${m.result} → ${m.to} (${m.ruleId || 'fallback'})`;
+    console.log(`| ${m.tickets.toString().padEnd(7)} | ${m.price.padEnd(5)} | ${m.category.substring(0,14).padEnd(14)} | ${m.ref.substring(0,14).padEnd(14)} | ${change.padEnd(40)} | ${m.name}`);
+  });
+  console.log("=================================================================================================================");
+  process.exitCode = 1;
+}
+
+function runFixtures(rulesPath) {
+  const ruleset = rulesPath ? loadClassificationRules(rulesPath) : getClassificationRules();
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8')).fixtures;
+  console.log(`🧪 Checking ${fixtures.length} fixtures against rules v${ruleset.version}...`);
+
+  const failures = fixtures.filter(f => {
+    const { category, ruleId } = explainClassification(f, ruleset);
+    if (category === f.expected) return false;
+    console.log(`  ❌ "${f.name}" [${f.category}, ${f.refType || 'no ref'}, gross ${f.gross}]: expected ${f.expected}, got ${category} (${ruleId || 'fallback'})`);
+    return true;
+  });
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length}/${fixtures.length} fixture(s) failed.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ All ${fixtures.length} fixtures pass.`);
+  }
+}
+
+// Shows which rule an item would hit, to try a rule edit without touching the database
+function explainItem([name, category, refType, price]) {
+  const ruleset = getClassificationRules();
+  const gross = (price || 'PAID').toUpperCase() === 'FREE' ? 0 : 1;
+  const { category: result, ruleId } = explainClassification({ name, category, refType, gross }, ruleset);
+  console.log(`${result}  (rule: ${ruleId || 'none, fallback'})`);
+}
+
+async function main() {
+  const command = process.argv[2] || 'validate';
+  const args = process.argv.slice(3);
+
+  switch (command) {
+    case 'validate':
+      await runValidation();
+      break;
+    case 'snapshot':
+      await writeSnapshot(args[0] || DEFAULT_SNAPSHOT_PATH);
+      break;
+    case 'diff':
+      diffSnapshot(args[0] || DEFAULT_SNAPSHOT_PATH, args[1]);
+      break;
+    case 'fixtures':
+      runFixtures(args[0]);
+      break;
+    case 'explain':
+      if (!args[0] || !args[1]) throw new Error('Usage: node verify-classification.js explain "<name>" <category> [ref_type] [PAID|FREE]');
+      explainItem(args);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node verify-classification.js [validate]                 - Breakdown of events_orders and unmatched items');
+      console.log('  node verify-classification.js snapshot [file]            - Save the category of every item signature');
+      console.log('  node verify-classification.js diff [file] [rules.json]   - Show signatures whose category changed since the snapshot');
+      console.log('  node verify-classification.js fixtures [rules.json]      - Check config/classification-fixtures.json');
+      console.log('  node verify-classification.js explain "<name>" <category> [ref_type] [PAID|FREE]');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});
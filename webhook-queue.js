@@ -0,0 +1,109 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+const { createTixrClientFromEnv } = require('./lib/tixr-client');
+const { QUEUE_TABLE, getQueueItem, requeueItems, processQueueItem, flushJournal } = require('./lib/webhook-queue');
+
+// Admin commands for the webhook queue filled by webhook-server.js
+
+const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+const JOURNAL_PATH = process.env.WEBHOOK_JOURNAL_PATH || './webhook-journal.jsonl';
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_KEY. Check your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// ==================== COMMANDS ====================
+
+async function listItems(status, limit = 50) {
+  let query = supabase
+    .from(QUEUE_TABLE)
+    .select('id, kind, dedupe_key, status, attempts, received_at, next_attempt_at, last_error')
+    .order('received_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read webhook queue: ${error.message}`);
+
+  console.log(`📋 ${data.length} webhook(s)${status ? ` with status ${status}` : ''} (newest first):\n`);
+  for (const item of data) {
+    console.log(`  #${item.id}  ${item.kind.padEnd(5)} ${String(item.dedupe_key).padEnd(12)} ${item.status.padEnd(10)} attempts=${item.attempts}  received ${item.received_at}`);
+    if (item.last_error) console.log(`      last error: ${item.last_error}`);
+  }
+}
+
+async function showStats() {
+  const { data, error } = await supabase.from(QUEUE_TABLE).select('kind, status');
+  if (error) throw new Error(`Failed to read webhook queue: ${error.message}`);
+
+  const counts = {};
+  for (const item of data) {
+    const key = `${item.kind} / ${item.status}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  console.log('📊 Webhook queue:');
+  Object.keys(counts).sort().forEach(key => console.log(`  ${key.padEnd(22)} ${counts[key]}`));
+  if (data.length === 0) console.log('  (empty)');
+}
+
+// Processes one item right now, whatever its status, and records the outcome
+async function replayItem(id) {
+  const item = await getQueueItem(supabase, id);
+  if (!item) throw new Error(`Webhook #${id} not found`);
+
+  console.log(`🔁 Replaying webhook #${id} (${item.kind} ${item.dedupe_key}, status ${item.status})...`);
+  const tixr = createTixrClientFromEnv();
+  const claimed = { ...item, attempts: item.attempts + 1 };
+  const { error } = await supabase.from(QUEUE_TABLE).update({ status: 'processing', attempts: claimed.attempts }).eq('id', id);
+  if (error) throw new Error(`Failed to claim webhook #${id}: ${error.message}`);
+
+  // Give a manual replay room for at least one more automatic retry if it fails
+  const { status, error: processError } = await processQueueItem({ supabase, tixr }, claimed, { maxAttempts: claimed.attempts + 1 });
+  if (status !== 'done') throw new Error(`Replay failed: ${processError.message}`);
+  console.log(`✅ Webhook #${id} processed.`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const arg = process.argv[3];
+
+  switch (command) {
+    case 'list':
+      await listItems(arg, parseInt(process.argv[4] || '50', 10));
+      break;
+    case 'stats':
+      await showStats();
+      break;
+    case 'replay':
+      if (!arg) throw new Error('Usage: node webhook-queue.js replay <id>');
+      await replayItem(arg);
+      break;
+    case 'requeue':
+      if (!arg) throw new Error('Usage: node webhook-queue.js requeue <id>');
+      console.log(`✅ Re-queued ${await requeueItems(supabase, { ids: [arg] })} webhook(s).`);
+      break;
+    case 'requeue-failed':
+      console.log(`✅ Re-queued ${await requeueItems(supabase, { status: 'failed' })} failed webhook(s); the server will pick them up.`);
+      break;
+    case 'flush-journal':
+      console.log(`✅ Moved ${await flushJournal(supabase, JOURNAL_PATH)} journaled webhook(s) into the queue.`);
+      break;
+    default:
+      console.log('Usage:');
+      console.log('  node webhook-queue.js list [status] [limit]  - List queued webhooks (pending, processing, done, failed)');
+      console.log('  node webhook-queue.js stats                  - Count webhooks by kind and status');
+      console.log('  node webhook-queue.js replay <id>            - Process one webhook now, whatever its status');
+      console.log('  node webhook-queue.js requeue <id>           - Hand one webhook back to the server worker');
+      console.log('  node webhook-queue.js requeue-failed         - Hand every failed webhook back to the server worker');
+      console.log('  node webhook-queue.js flush-journal          - Move the local fallback journal into the queue');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('\n❌ A fatal error occurred:', err.message);
+  process.exit(1);
+});